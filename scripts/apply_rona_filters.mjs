@@ -0,0 +1,56 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { applyFilter, parseFilterArgs } from './rona_filters.mjs';
+import { toCsv } from './rona_parsing.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+
+async function reapplyStore(baseDir, filter) {
+  const allPath = path.join(baseDir, 'all.json');
+  const jsonPath = path.join(baseDir, 'data.json');
+  let all;
+  let data;
+  try {
+    all = JSON.parse(await fs.readFile(allPath, 'utf8'));
+    data = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  if (data.status !== 'scraped' || all.scrapedAt !== data.scrapedAt) {
+    return null;
+  }
+
+  const items = applyFilter(all.items, filter);
+  data.filter = filter;
+  data.count = items.length;
+  data.items = items;
+  data.stats = { ...data.stats, keptCount: items.length };
+  await fs.writeFile(jsonPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.writeFile(path.join(baseDir, 'data.csv'), toCsv(items), 'utf8');
+  return { parsed: all.items.length, kept: items.length };
+}
+
+async function main() {
+  const { filter, positionals } = await parseFilterArgs(process.argv.slice(2));
+  const [dataDir = DATA_DIR] = positionals;
+  const entries = await fs.readdir(dataDir, { withFileTypes: true });
+  let storesUpdated = 0;
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const result = await reapplyStore(path.join(dataDir, entry.name), filter);
+    if (!result) continue;
+    storesUpdated += 1;
+    console.log(
+      `[rona] refilter store=${entry.name} parsed=${result.parsed} kept=${result.kept}`
+    );
+  }
+
+  console.log(`[rona] refilter stores=${storesUpdated}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
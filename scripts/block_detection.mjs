@@ -0,0 +1,244 @@
+export const BLOCK_VERDICTS = [
+  'ok',
+  'challenge',
+  'rate-limited',
+  'geo-blocked',
+  'maintenance',
+  'empty-but-ok',
+];
+
+const BLOCKING_VERDICTS = new Set([
+  'challenge',
+  'rate-limited',
+  'geo-blocked',
+  'maintenance',
+]);
+const BLOCK_THRESHOLD = 0.5;
+const EMPTY_SHELL_TEXT_LENGTH = 200;
+
+const CHALLENGE_SELECTORS = {
+  cloudflare: [
+    '#challenge-form',
+    '#challenge-running',
+    '#cf-challenge-running',
+    '.cf-browser-verification',
+    '#cf-wrapper',
+    'iframe[src*="challenges.cloudflare.com"]',
+  ],
+  akamai: ['#sec-if-cpt-container', '#sec-cpt-if', '[id^="sec-container"]'],
+  perimeterx: ['#px-captcha', '[class*="px-captcha"]'],
+  datadome: ['iframe[src*="captcha-delivery.com"]'],
+  captcha: [
+    '.g-recaptcha',
+    'iframe[src*="recaptcha"]',
+    '.h-captcha',
+    'iframe[src*="hcaptcha.com"]',
+  ],
+};
+
+const CHALLENGE_TITLE =
+  /just a moment|attention required|verify you are human|checking your browser|un instant|access denied|acc[eè]s refus[eé]|pardon our interruption/i;
+const RATE_LIMIT_TEXT =
+  /too many requests|trop de requ[eê]tes|rate limit(ed)?|slow down/i;
+const GEO_TEXT =
+  /not available in your (country|region)|unavailable in your (country|region)|pas disponible dans votre (pays|r[eé]gion)|outside of canada|hors du canada/i;
+const MAINTENANCE_TEXT =
+  /maintenance|temporarily unavailable|temporairement (indisponible|hors service)|be right back|de retour (bient[oô]t|sous peu)|service unavailable/i;
+const ERROR_PAGE_URL = /\/(maintenance|error|erreur|unavailable|blocked)(\/|\?|\.|$)/i;
+const CHALLENGE_URL = /cdn-cgi\/challenge|\/challenge(\/|\?|$)|captcha/i;
+const GEO_URL = /geo-?block|country-?(not-?supported|unavailable)/i;
+const DEFAULT_EMPTY_TEXT =
+  /aucun (produit|article|r[eé]sultat)|0 r[eé]sultat|no (products|results|items) (found|available)|0 results/i;
+
+function flattenSelectors(extra = {}) {
+  const merged = { ...CHALLENGE_SELECTORS };
+  for (const [vendor, selectors] of Object.entries(extra)) {
+    merged[vendor] = [...(merged[vendor] ?? []), ...selectors];
+  }
+  return Object.entries(merged).flatMap(([vendor, selectors]) =>
+    selectors.map((selector) => ({ vendor, selector }))
+  );
+}
+
+function redirectChain(response) {
+  const chain = [];
+  let request = response?.request?.() ?? null;
+  while (request?.redirectedFrom?.()) {
+    request = request.redirectedFrom();
+    chain.unshift(request.url());
+  }
+  return chain;
+}
+
+function detectVendor(headers, challengeElements) {
+  const fromElements = challengeElements.find(
+    (element) => element.vendor !== 'captcha'
+  )?.vendor;
+  if (fromElements) return fromElements;
+  const server = String(headers.server ?? '').toLowerCase();
+  if (headers['cf-mitigated'] || headers['cf-ray'] || server === 'cloudflare') {
+    return 'cloudflare';
+  }
+  if (server.includes('akamai')) return 'akamai';
+  if (headers['x-datadome']) return 'datadome';
+  return null;
+}
+
+export async function collectBlockSignals(
+  page,
+  response,
+  { requestedUrl = null, tileCount = null, challengeSelectors = {} } = {}
+) {
+  const selectors = flattenSelectors(challengeSelectors);
+  const headers = response?.headers?.() ?? {};
+  const dom = await page
+    .evaluate((candidates) => {
+      const found = candidates.filter(({ selector }) =>
+        Boolean(document.querySelector(selector))
+      );
+      const text = document.body?.innerText ?? '';
+      return {
+        found,
+        textLength: text.trim().length,
+        textSample: text.slice(0, 4000),
+      };
+    }, selectors)
+    .catch(() => ({ found: [], textLength: 0, textSample: '' }));
+  const challengeElements = dom.found;
+  return {
+    status: response?.status?.() ?? null,
+    requestedUrl,
+    finalUrl: page.url(),
+    redirects: redirectChain(response),
+    title: await page.title().catch(() => ''),
+    headers: {
+      server: headers.server ?? null,
+      'cf-mitigated': headers['cf-mitigated'] ?? null,
+      'retry-after': headers['retry-after'] ?? null,
+    },
+    vendor: detectVendor(headers, challengeElements),
+    challengeElements: challengeElements.map((element) => element.selector),
+    textLength: dom.textLength,
+    textSample: dom.textSample,
+    tileCount,
+  };
+}
+
+function addScore(scores, verdict, weight, reason) {
+  scores[verdict].score += weight;
+  scores[verdict].reasons.push(reason);
+}
+
+export function classifyBlock(signals, { emptyText = DEFAULT_EMPTY_TEXT } = {}) {
+  const scores = Object.fromEntries(
+    BLOCK_VERDICTS.map((verdict) => [verdict, { score: 0, reasons: [] }])
+  );
+  const status = signals.status;
+  const title = signals.title ?? '';
+  const text = signals.textSample ?? '';
+  const urls = [...(signals.redirects ?? []), signals.finalUrl ?? ''];
+  const redirected =
+    signals.requestedUrl != null &&
+    signals.finalUrl != null &&
+    signals.finalUrl !== signals.requestedUrl;
+
+  if (signals.headers?.['cf-mitigated'] === 'challenge') {
+    addScore(scores, 'challenge', 0.6, 'header:cf-mitigated');
+  }
+  if (signals.challengeElements?.length > 0) {
+    addScore(scores, 'challenge', 0.5, 'dom:challenge-element');
+  }
+  if (CHALLENGE_TITLE.test(title)) {
+    addScore(scores, 'challenge', 0.3, 'title:challenge');
+  }
+  if (urls.some((url) => CHALLENGE_URL.test(url))) {
+    addScore(scores, 'challenge', 0.3, 'url:challenge');
+  }
+  if (status === 403) {
+    addScore(scores, 'challenge', 0.3, 'status:403');
+  }
+
+  if (status === 429) {
+    addScore(scores, 'rate-limited', 0.7, 'status:429');
+  }
+  if (signals.headers?.['retry-after']) {
+    addScore(scores, 'rate-limited', 0.2, 'header:retry-after');
+  }
+  if (RATE_LIMIT_TEXT.test(`${title}\n${text}`)) {
+    addScore(scores, 'rate-limited', 0.3, 'text:rate-limit');
+  }
+
+  if (status === 451) {
+    addScore(scores, 'geo-blocked', 0.7, 'status:451');
+  }
+  if (GEO_TEXT.test(`${title}\n${text}`)) {
+    addScore(scores, 'geo-blocked', 0.5, 'text:geo');
+  }
+  if (urls.some((url) => GEO_URL.test(url))) {
+    addScore(scores, 'geo-blocked', 0.3, 'url:geo');
+  }
+
+  if (status === 503 && scores.challenge.score < BLOCK_THRESHOLD) {
+    addScore(scores, 'maintenance', 0.4, 'status:503');
+  }
+  if (MAINTENANCE_TEXT.test(title)) {
+    addScore(scores, 'maintenance', 0.4, 'title:maintenance');
+  } else if (MAINTENANCE_TEXT.test(text)) {
+    addScore(scores, 'maintenance', 0.2, 'text:maintenance');
+  }
+  if (redirected && urls.some((url) => ERROR_PAGE_URL.test(url))) {
+    addScore(scores, 'maintenance', 0.3, 'url:error-page');
+  }
+
+  if (signals.tileCount === 0 && status != null && status < 400) {
+    if (emptyText.test(text)) {
+      addScore(scores, 'empty-but-ok', 0.8, 'text:no-results');
+    } else if ((signals.textLength ?? 0) < EMPTY_SHELL_TEXT_LENGTH) {
+      addScore(scores, 'challenge', 0.5, 'dom:empty-shell');
+    } else {
+      addScore(scores, 'empty-but-ok', 0.4, 'tiles:0');
+    }
+  }
+  if (signals.tileCount === 0 && status != null && status >= 400) {
+    const verdict = status >= 500 ? 'maintenance' : 'challenge';
+    addScore(scores, verdict, 0.5, `tiles:0+status:${status}`);
+  }
+
+  let best = { verdict: 'ok', score: 0, reasons: [] };
+  for (const verdict of BLOCK_VERDICTS.slice(1)) {
+    const { score, reasons } = scores[verdict];
+    if (score > best.score) best = { verdict, score, reasons };
+  }
+  const blocked =
+    BLOCKING_VERDICTS.has(best.verdict) && best.score >= BLOCK_THRESHOLD;
+  const verdict =
+    blocked || best.verdict === 'empty-but-ok' ? best.verdict : 'ok';
+  const confidence =
+    verdict === 'ok'
+      ? Number((1 - Math.min(best.score, 1)).toFixed(2))
+      : Number(Math.min(best.score, 1).toFixed(2));
+
+  return {
+    verdict,
+    blocked,
+    confidence,
+    vendor: blocked ? signals.vendor ?? null : null,
+    reasons: verdict === 'ok' ? best.reasons : scores[verdict].reasons,
+    signals: {
+      status,
+      requestedUrl: signals.requestedUrl ?? null,
+      finalUrl: signals.finalUrl ?? null,
+      redirects: signals.redirects ?? [],
+      title,
+      server: signals.headers?.server ?? null,
+      challengeElements: signals.challengeElements ?? [],
+      textLength: signals.textLength ?? null,
+      tileCount: signals.tileCount ?? null,
+    },
+  };
+}
+
+export async function detectBlock(page, response, options = {}) {
+  const signals = await collectBlockSignals(page, response, options);
+  return classifyBlock(signals, options);
+}
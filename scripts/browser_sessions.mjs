@@ -0,0 +1,306 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { expandEnv } from './env_helpers.mjs';
+
+export const SESSION_ARG_OPTIONS = {
+  sessions: { type: 'string' },
+};
+
+export const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+const ROTATIONS = ['on-block', 'per-store'];
+const DEFAULT_MAX_FAILURES = 3;
+const DEFAULT_COOLDOWN_MS = 15 * 60 * 1000;
+const DIRECT = { id: 'direct', server: null };
+const stateWrites = new Map();
+
+function splitList(value) {
+  return String(value ?? '')
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function fileSafe(name) {
+  return String(name).replace(/[^a-z0-9_-]+/gi, '-');
+}
+
+export function normalizeProxy(spec, index = 0) {
+  const entry = typeof spec === 'string' ? { server: spec } : { ...spec };
+  let url;
+  try {
+    url = new URL(entry.server);
+  } catch (error) {
+    throw new Error(`Proxy ${index + 1} needs a "server" URL.`);
+  }
+  if (!PROXY_PROTOCOLS.includes(url.protocol)) {
+    throw new Error(
+      `Proxy ${index + 1} must use http, https, socks4 or socks5 (got ${url.protocol}).`
+    );
+  }
+  const username = entry.username || decodeURIComponent(url.username) || null;
+  const password = entry.password || decodeURIComponent(url.password) || null;
+  if (url.protocol.startsWith('socks') && username) {
+    throw new Error(
+      `Proxy ${index + 1}: Chromium cannot authenticate to SOCKS proxies.`
+    );
+  }
+  return {
+    id: entry.name ?? url.host,
+    server: `${url.protocol}//${url.host}`,
+    username,
+    password,
+    bypass: entry.bypass ?? null,
+  };
+}
+
+export function normalizeProfile(spec, index = 0) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`Profile ${index + 1} must be an object.`);
+  }
+  const {
+    name = `profile-${index + 1}`,
+    userAgent = null,
+    locale = null,
+    timezoneId = null,
+    viewport = DEFAULT_VIEWPORT,
+    extraHTTPHeaders = null,
+  } = spec;
+  if (
+    !Number.isInteger(viewport?.width) ||
+    !Number.isInteger(viewport?.height)
+  ) {
+    throw new Error(
+      `Profile "${name}" needs an integer viewport width and height.`
+    );
+  }
+  return { name, userAgent, locale, timezoneId, viewport, extraHTTPHeaders };
+}
+
+function readInteger(value, fallback, label, minimum) {
+  if (value == null) return fallback;
+  if (!Number.isInteger(value) || value < minimum) {
+    throw new Error(`Session "${label}" must be an integer >= ${minimum}.`);
+  }
+  return value;
+}
+
+export function normalizeSessionConfig(raw = {}, env = process.env) {
+  const spec = expandEnv(raw, env);
+  const rotation = spec.rotation ?? 'on-block';
+  if (!ROTATIONS.includes(rotation)) {
+    throw new Error(
+      `Session "rotation" must be ${ROTATIONS.join(' or ')}, got "${rotation}".`
+    );
+  }
+  const proxies = (spec.proxies ?? []).map(normalizeProxy);
+  const profiles = spec.profiles?.length
+    ? spec.profiles.map(normalizeProfile)
+    : [normalizeProfile({ name: 'default' })];
+  return {
+    proxies,
+    profiles,
+    rotation,
+    direct: spec.direct ?? proxies.length === 0,
+    maxFailures: readInteger(
+      spec.maxFailures,
+      DEFAULT_MAX_FAILURES,
+      'maxFailures',
+      1
+    ),
+    cooldownMs: readInteger(
+      spec.cooldownMs,
+      DEFAULT_COOLDOWN_MS,
+      'cooldownMs',
+      0
+    ),
+    storageStateDir: spec.storageStateDir ?? null,
+  };
+}
+
+export function buildContextOptions(proxy, profile) {
+  const options = { viewport: profile?.viewport ?? DEFAULT_VIEWPORT };
+  const profileKeys = ['userAgent', 'locale', 'timezoneId', 'extraHTTPHeaders'];
+  for (const key of profileKeys) {
+    if (profile?.[key]) options[key] = profile[key];
+  }
+  if (proxy?.server) {
+    options.proxy = { server: proxy.server };
+    for (const key of ['username', 'password', 'bypass']) {
+      if (proxy[key]) options.proxy[key] = proxy[key];
+    }
+  }
+  return options;
+}
+
+export function createSessionPool(config, { now = Date.now } = {}) {
+  const members = [...config.proxies, ...(config.direct ? [DIRECT] : [])];
+  if (members.length === 0) {
+    throw new Error('Session pool needs at least one proxy or "direct": true.');
+  }
+  const entries = members.map((proxy) => ({
+    proxy,
+    uses: 0,
+    successes: 0,
+    blocks: 0,
+    errors: 0,
+    failures: 0,
+    coolingUntil: 0,
+  }));
+  let proxyIndex = 0;
+  let profileIndex = 0;
+
+  const pickEntry = () => {
+    const time = now();
+    for (let offset = 0; offset < entries.length; offset += 1) {
+      const index = (proxyIndex + offset) % entries.length;
+      if (entries[index].coolingUntil <= time) {
+        proxyIndex = index;
+        return entries[index];
+      }
+    }
+    const soonest = entries.reduce((best, entry) =>
+      entry.coolingUntil < best.coolingUntil ? entry : best
+    );
+    proxyIndex = entries.indexOf(soonest);
+    console.log(`[rona] all proxies cooling down, reusing ${soonest.proxy.id}`);
+    return soonest;
+  };
+
+  const coolDown = (entry) => {
+    entry.coolingUntil = now() + config.cooldownMs;
+    if (entries[proxyIndex] === entry) {
+      proxyIndex = (proxyIndex + 1) % entries.length;
+    }
+  };
+
+  return {
+    acquire() {
+      const entry = pickEntry();
+      const profile = config.profiles[profileIndex % config.profiles.length];
+      entry.uses += 1;
+      if (config.rotation === 'per-store') {
+        proxyIndex = (proxyIndex + 1) % entries.length;
+      }
+      return {
+        proxy: entry.proxy.id,
+        profile: profile.name,
+        contextOptions: buildContextOptions(entry.proxy, profile),
+        storageStatePath: config.storageStateDir
+          ? path.join(
+              config.storageStateDir,
+              `${fileSafe(profile.name)}.json`
+            )
+          : null,
+      };
+    },
+    report(session, outcome) {
+      const entry = entries.find((item) => item.proxy.id === session?.proxy);
+      if (!entry) return;
+      if (outcome === 'scraped') {
+        entry.successes += 1;
+        entry.failures = 0;
+        return;
+      }
+      entry.failures += 1;
+      if (outcome === 'blocked') {
+        entry.blocks += 1;
+        coolDown(entry);
+        profileIndex += 1;
+        console.log(
+          `[rona] session blocked proxy=${entry.proxy.id} profile=${session.profile}, switching proxy and profile`
+        );
+      } else {
+        entry.errors += 1;
+        if (entry.failures >= config.maxFailures) coolDown(entry);
+      }
+    },
+    stats() {
+      const time = now();
+      return entries.map((entry) => ({
+        proxy: entry.proxy.id,
+        uses: entry.uses,
+        successes: entry.successes,
+        blocks: entry.blocks,
+        errors: entry.errors,
+        coolingUntil:
+          entry.coolingUntil > time
+            ? new Date(entry.coolingUntil).toISOString()
+            : null,
+      }));
+    },
+  };
+}
+
+export async function newSessionContext(browser, session = null) {
+  const options = {
+    viewport: DEFAULT_VIEWPORT,
+    ...session?.contextOptions,
+  };
+  if (session?.storageStatePath) {
+    try {
+      await fs.access(session.storageStatePath);
+      options.storageState = session.storageStatePath;
+    } catch (error) {
+      // first run for this profile
+    }
+  }
+  return browser.newContext(options);
+}
+
+function queueStateWrite(filePath, task) {
+  const previous = stateWrites.get(filePath) ?? Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  stateWrites.set(filePath, next);
+  return next;
+}
+
+export async function saveSessionState(
+  context,
+  session,
+  status,
+  { dropCookies = null } = {}
+) {
+  const filePath = session?.storageStatePath;
+  if (!filePath) return;
+  if (status === 'scraped') {
+    const state = await context.storageState();
+    const cookies = dropCookies
+      ? state.cookies.filter((cookie) => !dropCookies.test(cookie.name))
+      : state.cookies;
+    const snapshot = JSON.stringify({ ...state, cookies }, null, 2);
+    await queueStateWrite(filePath, async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, snapshot, 'utf8');
+      await fs.rename(tempPath, filePath);
+    });
+  } else if (status === 'blocked') {
+    await queueStateWrite(filePath, () => fs.rm(filePath, { force: true }));
+  }
+}
+
+export async function sessionPoolFromArgs(values, env = process.env) {
+  const configPath = values.sessions ?? env.SESSIONS_CONFIG;
+  const envProxies = splitList(env.PROXY_URLS);
+  if (!configPath && envProxies.length === 0) return null;
+  let raw = {};
+  if (configPath) {
+    try {
+      raw = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(
+        `Could not read session config ${configPath}: ${error.message}`
+      );
+    }
+  }
+  const config = normalizeSessionConfig(
+    { ...raw, proxies: [...(raw.proxies ?? []), ...envProxies] },
+    env
+  );
+  console.log(
+    `[rona] sessions proxies=${config.proxies.length}${config.direct ? '+direct' : ''} profiles=${config.profiles.length} rotation=${config.rotation}`
+  );
+  return createSessionPool(config);
+}
@@ -0,0 +1,41 @@
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function runPool(items, concurrency, worker) {
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+  const runners = Array.from({ length: limit }, async (_, workerId) => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      await worker(items[index], index, workerId);
+    }
+  });
+  const results = await Promise.allSettled(runners);
+  const failed = results.find((result) => result.status === 'rejected');
+  if (failed) throw failed.reason;
+}
+
+export function createHostRateLimiter({ minIntervalMs = 0 } = {}) {
+  const nextSlotByHost = new Map();
+  return {
+    minIntervalMs,
+    async wait(url) {
+      if (minIntervalMs <= 0) return;
+      const host = new URL(url).host;
+      const now = Date.now();
+      const slot = Math.max(now, nextSlotByHost.get(host) ?? 0);
+      nextSlotByHost.set(host, slot + minIntervalMs);
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    },
+  };
+}
+
+export function backoffDelay(baseMs, attempt, maxMs = 10 * 60 * 1000) {
+  const exponential = baseMs * 2 ** Math.max(0, attempt - 1);
+  const jitter = Math.random() * baseMs * 0.25;
+  return Math.min(maxMs, Math.round(exponential + jitter));
+}
@@ -0,0 +1,109 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { locateQueries } from './enrich_rona_stores.mjs';
+import { STORES_PATH, diffStores, loadStores } from './rona_stores.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+const DEFAULT_SEEDS = [
+  'Montréal',
+  'Laval',
+  'Longueuil',
+  'Québec',
+  'Lévis',
+  'Gatineau',
+  'Sherbrooke',
+  'Trois-Rivières',
+  'Drummondville',
+  'Saint-Jérôme',
+  'Granby',
+  'Saguenay',
+  'Rimouski',
+  'Rouyn-Noranda',
+  'Sept-Îles',
+  'Gaspé',
+  'Ottawa',
+  'Toronto',
+  'Moncton',
+  'Halifax',
+];
+const MIN_DISCOVERED_RATIO = 0.5;
+
+function formatDiff(diff) {
+  const lines = [
+    `added=${diff.added.length} removed=${diff.removed.length} renamed=${diff.renamed.length} unchanged=${diff.unchanged}`,
+  ];
+  for (const store of diff.added) {
+    lines.push(`+ ${store.slug} "${store.name}"`);
+  }
+  for (const store of diff.removed) {
+    lines.push(`- ${store.slug} "${store.name}"`);
+  }
+  for (const store of diff.renamed) {
+    lines.push(`~ ${store.slug} "${store.from}" -> "${store.to}"`);
+  }
+  return lines.join('\n');
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      seed: { type: 'string', multiple: true },
+      stores: { type: 'string' },
+      write: { type: 'boolean' },
+      prune: { type: 'boolean' },
+      force: { type: 'boolean' },
+    },
+  });
+  const storesPath = values.stores ?? STORES_PATH;
+  const existing = await loadStores(storesPath);
+  const seeds = values.seed?.length
+    ? values.seed
+    : [
+        ...new Set([
+          ...DEFAULT_SEEDS,
+          ...existing.map((store) => store.locationQuery).filter(Boolean),
+        ]),
+      ];
+  console.log(`[rona] discover seeds=${seeds.length} known=${existing.length}`);
+
+  const { located, failedQueries } = await locateQueries(seeds);
+  const { diff, stores } = diffStores(existing, [...located.values()], {
+    prune: values.prune,
+  });
+  const report = {
+    generatedAt: new Date().toISOString(),
+    seeds: seeds.length,
+    failedQueries,
+    discovered: located.size,
+    ...diff,
+  };
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const reportPath = path.join(DATA_DIR, 'stores_diff.json');
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  console.log(formatDiff(diff));
+  console.log(`[rona] wrote ${reportPath}`);
+
+  if (!values.write) {
+    console.log('[rona] dry run: pass --write to update stores.json');
+    return;
+  }
+  if (
+    !values.force &&
+    located.size < existing.length * MIN_DISCOVERED_RATIO
+  ) {
+    throw new Error(
+      `Only ${located.size} stores discovered for ${existing.length} known; refusing to write without --force.`
+    );
+  }
+  await fs.writeFile(storesPath, `${JSON.stringify(stores, null, 2)}\n`, 'utf8');
+  console.log(`[rona] wrote ${storesPath} stores=${stores.length}`);
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
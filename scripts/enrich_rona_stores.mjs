@@ -0,0 +1,159 @@
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createHostRateLimiter } from './concurrency.mjs';
+import {
+  STORES_PATH,
+  detectBanner,
+  extractStoreLocations,
+  loadStores,
+  mergeStoreLocation,
+} from './rona_stores.mjs';
+import { launchBrowser, searchStoreLocator } from './scrape_rona_store.mjs';
+
+const DEFAULT_TIMEOUT = 30000;
+
+function isLocated(store) {
+  return (
+    Boolean(store.postalCode) &&
+    Number.isFinite(store.lat) &&
+    Number.isFinite(store.lng)
+  );
+}
+
+async function readLocatorDom(page) {
+  return page.$$eval('[data-store-id]', (elements) =>
+    elements.map((element) => {
+      const text = (selector) =>
+        element.querySelector(selector)?.textContent?.trim() || null;
+      return {
+        storeId: element.getAttribute('data-store-id'),
+        storeName:
+          element.getAttribute('data-store-name') ||
+          text('[itemprop="name"], .store-name, h2, h3'),
+        latitude:
+          element.getAttribute('data-lat') ||
+          element.getAttribute('data-latitude'),
+        longitude:
+          element.getAttribute('data-lng') ||
+          element.getAttribute('data-longitude'),
+        streetAddress: text('[itemprop="streetAddress"]'),
+        city: text('[itemprop="addressLocality"]'),
+        province: text('[itemprop="addressRegion"]'),
+        postalCode: text('[itemprop="postalCode"]'),
+      };
+    })
+  );
+}
+
+export async function locateStores(page, query, navigate) {
+  const payloads = [];
+  const onResponse = async (res) => {
+    const ct = (res.headers()['content-type'] || '').toLowerCase();
+    if (!ct.includes('json')) return;
+    try {
+      payloads.push(await res.json());
+    } catch (error) {
+      // ignore unreadable bodies
+    }
+  };
+  page.on('response', onResponse);
+  try {
+    await searchStoreLocator(page, query, navigate);
+  } finally {
+    page.off('response', onResponse);
+  }
+
+  const byId = new Map();
+  const fromDom = extractStoreLocations({ stores: await readLocatorDom(page) });
+  for (const location of [
+    ...payloads.flatMap((payload) => extractStoreLocations(payload)),
+    ...fromDom,
+  ]) {
+    const key = String(location.id);
+    byId.set(key, { ...byId.get(key), ...location });
+  }
+  return byId;
+}
+
+export async function locateQueries(queries) {
+  const browser = await launchBrowser();
+  const context = await browser.newContext({ locale: 'fr-CA' });
+  const page = await context.newPage();
+  page.setDefaultTimeout(DEFAULT_TIMEOUT);
+  const rateLimiter = createHostRateLimiter({ minIntervalMs: 3000 });
+  const navigate = async (url) => {
+    await rateLimiter.wait(url);
+    return page.goto(url, { waitUntil: 'domcontentloaded' });
+  };
+
+  const located = new Map();
+  const failedQueries = [];
+  try {
+    for (const query of queries) {
+      try {
+        const found = await locateStores(page, query, navigate);
+        for (const [id, location] of found) located.set(id, location);
+        console.log(`[rona] locator query="${query}" stores=${found.size}`);
+      } catch (error) {
+        failedQueries.push(query);
+        console.error(
+          `[rona] locator failed query="${query}" error="${error.message}"`
+        );
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+  return { located, failedQueries };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      refresh: { type: 'boolean' },
+      stores: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+  const storesPath = values.stores ?? STORES_PATH;
+  const stores = await loadStores(storesPath);
+  const wanted = stores.filter(
+    (store) =>
+      (positionals.length === 0 || positionals.includes(store.slug)) &&
+      (values.refresh || !isLocated(store))
+  );
+  const queries = [
+    ...new Set(wanted.map((store) => store.locationQuery || store.name)),
+  ];
+  console.log(
+    `[rona] locating stores=${wanted.length} queries=${queries.length}`
+  );
+
+  const { located } = await locateQueries(queries);
+
+  let updated = 0;
+  const next = stores.map((store) => {
+    const location = located.get(String(store.id));
+    if (!location) {
+      return { ...store, banner: store.banner ?? detectBanner(store.name) };
+    }
+    updated += 1;
+    return mergeStoreLocation(store, location);
+  });
+  await fs.writeFile(storesPath, `${JSON.stringify(next, null, 2)}\n`, 'utf8');
+  const missing = wanted.filter((store) => !located.has(String(store.id)));
+  console.log(
+    `[rona] stores updated=${updated} missing=${missing.length} -> ${storesPath}`
+  );
+  for (const store of missing) {
+    console.log(`[rona] not located: ${store.slug}`);
+  }
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
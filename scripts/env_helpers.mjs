@@ -0,0 +1,14 @@
+export function expandEnv(value, env = process.env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => expandEnv(entry, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, expandEnv(entry, env)])
+    );
+  }
+  return value;
+}
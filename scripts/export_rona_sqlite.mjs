@@ -0,0 +1,439 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import initSqlJs from 'sql.js';
+import { itemKey } from './rona_history.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+const DB_FILE = 'rona.sqlite';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS stores (
+  slug TEXT PRIMARY KEY,
+  id INTEGER,
+  name TEXT,
+  last_scraped_at TEXT,
+  last_status TEXT
+);
+CREATE TABLE IF NOT EXISTS runs (
+  store_slug TEXT NOT NULL REFERENCES stores(slug),
+  scraped_at TEXT NOT NULL,
+  status TEXT,
+  source TEXT,
+  blocked_by TEXT,
+  blocked_reason TEXT,
+  item_count INTEGER,
+  tiles INTEGER,
+  parsed_count INTEGER,
+  kept_count INTEGER,
+  schema_version INTEGER,
+  PRIMARY KEY (store_slug, scraped_at)
+);
+CREATE TABLE IF NOT EXISTS items (
+  key TEXT PRIMARY KEY,
+  sku TEXT,
+  name TEXT,
+  url TEXT,
+  image TEXT,
+  brand TEXT,
+  category TEXT,
+  department TEXT,
+  model_number TEXT,
+  first_seen TEXT,
+  last_seen TEXT
+);
+CREATE TABLE IF NOT EXISTS price_observations (
+  store_slug TEXT NOT NULL REFERENCES stores(slug),
+  item_key TEXT NOT NULL REFERENCES items(key),
+  observed_at TEXT NOT NULL,
+  regular_price REAL,
+  sale_price REAL,
+  discount_pct REAL,
+  availability TEXT,
+  stock_quantity INTEGER,
+  aisle TEXT,
+  bay TEXT,
+  promo_end_date TEXT,
+  PRIMARY KEY (store_slug, item_key, observed_at)
+);
+CREATE INDEX IF NOT EXISTS price_observations_item
+  ON price_observations (item_key, observed_at);
+CREATE INDEX IF NOT EXISTS runs_scraped_at ON runs (scraped_at);
+CREATE TABLE IF NOT EXISTS shard_runs (
+  shard_index INTEGER NOT NULL,
+  total_shards INTEGER,
+  timestamp TEXT NOT NULL,
+  stores_total INTEGER,
+  stores_ok INTEGER,
+  stores_blocked INTEGER,
+  stores_error INTEGER,
+  stores_skipped INTEGER,
+  blocked_reasons TEXT,
+  summary TEXT,
+  PRIMARY KEY (shard_index, timestamp)
+);
+`;
+
+const UPSERT_STORE = `
+INSERT INTO stores (slug, id, name, last_scraped_at, last_status)
+VALUES ($slug, $id, $name, $scrapedAt, $status)
+ON CONFLICT (slug) DO UPDATE SET
+  id = COALESCE(excluded.id, stores.id),
+  name = excluded.name,
+  last_status = CASE
+    WHEN excluded.last_scraped_at >= COALESCE(stores.last_scraped_at, '')
+    THEN excluded.last_status ELSE stores.last_status END,
+  last_scraped_at = MAX(
+    COALESCE(stores.last_scraped_at, ''),
+    COALESCE(excluded.last_scraped_at, '')
+  )`;
+
+const UPSERT_RUN = `
+INSERT INTO runs (
+  store_slug, scraped_at, status, source, blocked_by, blocked_reason,
+  item_count, tiles, parsed_count, kept_count, schema_version
+)
+VALUES (
+  $slug, $scrapedAt, $status, $source, $blockedBy, $blockedReason,
+  $count, $tiles, $parsedCount, $keptCount, $schemaVersion
+)
+ON CONFLICT (store_slug, scraped_at) DO UPDATE SET
+  status = excluded.status,
+  source = COALESCE(excluded.source, runs.source),
+  blocked_by = excluded.blocked_by,
+  blocked_reason = excluded.blocked_reason,
+  item_count = excluded.item_count,
+  tiles = COALESCE(excluded.tiles, runs.tiles),
+  parsed_count = COALESCE(excluded.parsed_count, runs.parsed_count),
+  kept_count = COALESCE(excluded.kept_count, runs.kept_count),
+  schema_version = COALESCE(excluded.schema_version, runs.schema_version)`;
+
+const INSERT_HISTORY_RUN = `
+INSERT OR IGNORE INTO runs (store_slug, scraped_at, status, item_count)
+VALUES ($slug, $scrapedAt, 'scraped', $count)`;
+
+const UPSERT_ITEM = `
+INSERT INTO items (
+  key, sku, name, url, image, brand, category, department, model_number,
+  first_seen, last_seen
+)
+VALUES (
+  $key, $sku, $name, $url, $image, $brand, $category, $department,
+  $modelNumber, $firstSeen, $lastSeen
+)
+ON CONFLICT (key) DO UPDATE SET
+  sku = COALESCE(NULLIF(excluded.sku, ''), items.sku),
+  name = CASE WHEN excluded.last_seen >= items.last_seen
+    THEN excluded.name ELSE items.name END,
+  url = CASE WHEN excluded.last_seen >= items.last_seen
+    THEN excluded.url ELSE items.url END,
+  image = COALESCE(NULLIF(excluded.image, ''), items.image),
+  brand = COALESCE(excluded.brand, items.brand),
+  category = COALESCE(excluded.category, items.category),
+  department = COALESCE(excluded.department, items.department),
+  model_number = COALESCE(excluded.model_number, items.model_number),
+  first_seen = MIN(items.first_seen, excluded.first_seen),
+  last_seen = MAX(items.last_seen, excluded.last_seen)`;
+
+const UPSERT_OBSERVATION = `
+INSERT INTO price_observations (
+  store_slug, item_key, observed_at, regular_price, sale_price, discount_pct,
+  availability, stock_quantity, aisle, bay, promo_end_date
+)
+VALUES (
+  $slug, $key, $observedAt, $regularPrice, $salePrice, $discountPct,
+  $availability, $stockQuantity, $aisle, $bay, $promoEndDate
+)
+ON CONFLICT (store_slug, item_key, observed_at) DO UPDATE SET
+  regular_price = excluded.regular_price,
+  sale_price = excluded.sale_price,
+  discount_pct = excluded.discount_pct,
+  availability = COALESCE(
+    excluded.availability,
+    price_observations.availability
+  ),
+  stock_quantity = COALESCE(
+    excluded.stock_quantity,
+    price_observations.stock_quantity
+  ),
+  aisle = COALESCE(excluded.aisle, price_observations.aisle),
+  bay = COALESCE(excluded.bay, price_observations.bay),
+  promo_end_date = COALESCE(
+    excluded.promo_end_date,
+    price_observations.promo_end_date
+  )`;
+
+const DELETE_REKEYED_OBSERVATIONS = `
+DELETE FROM price_observations
+WHERE store_slug = $slug
+  AND item_key != $key
+  AND item_key IN (SELECT key FROM items WHERE url = $url)`;
+
+const DELETE_ORPHAN_ITEMS = `
+DELETE FROM items
+WHERE key NOT IN (SELECT item_key FROM price_observations)`;
+
+const UPSERT_SHARD_RUN = `
+INSERT INTO shard_runs (
+  shard_index, total_shards, timestamp, stores_total, stores_ok,
+  stores_blocked, stores_error, stores_skipped, blocked_reasons, summary
+)
+VALUES (
+  $shardIndex, $totalShards, $timestamp, $storesTotal, $storesOk,
+  $storesBlocked, $storesError, $storesSkipped, $blockedReasons, $summary
+)
+ON CONFLICT (shard_index, timestamp) DO UPDATE SET
+  total_shards = excluded.total_shards,
+  stores_total = excluded.stores_total,
+  stores_ok = excluded.stores_ok,
+  stores_blocked = excluded.stores_blocked,
+  stores_error = excluded.stores_error,
+  stores_skipped = excluded.stores_skipped,
+  blocked_reasons = excluded.blocked_reasons,
+  summary = excluded.summary`;
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function bind(values) {
+  const params = {};
+  for (const [key, value] of Object.entries(values)) {
+    params[`$${key}`] = value === undefined ? null : value;
+  }
+  return params;
+}
+
+export async function openDatabase(dbPath) {
+  const SQL = await initSqlJs();
+  let existing = null;
+  try {
+    existing = await fs.readFile(dbPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const db = new SQL.Database(existing ?? undefined);
+  db.run('PRAGMA foreign_keys = ON');
+  db.exec(SCHEMA);
+  return db;
+}
+
+function createStatements(db) {
+  const statements = {
+    store: db.prepare(UPSERT_STORE),
+    run: db.prepare(UPSERT_RUN),
+    historyRun: db.prepare(INSERT_HISTORY_RUN),
+    item: db.prepare(UPSERT_ITEM),
+    observation: db.prepare(UPSERT_OBSERVATION),
+    rekeyed: db.prepare(DELETE_REKEYED_OBSERVATIONS),
+    shardRun: db.prepare(UPSERT_SHARD_RUN),
+  };
+  return {
+    ...statements,
+    free() {
+      for (const statement of Object.values(statements)) statement.free();
+    },
+  };
+}
+
+function upsertItem(statements, key, item, firstSeen, lastSeen) {
+  statements.item.run(
+    bind({
+      key,
+      sku: item.sku || '',
+      name: item.name,
+      url: item.url,
+      image: item.image || null,
+      brand: item.brand,
+      category: item.category,
+      department: item.department,
+      modelNumber: item.modelNumber,
+      firstSeen,
+      lastSeen,
+    })
+  );
+}
+
+function loadHistory(statements, slug, history) {
+  for (const run of history.runs ?? []) {
+    statements.historyRun.run(
+      bind({ slug, scrapedAt: run.scrapedAt, count: run.count })
+    );
+  }
+  let observations = 0;
+  for (const entry of Object.values(history.items ?? {})) {
+    // History re-keys an item when its SKU appears or vanishes.
+    statements.rekeyed.run(bind({ slug, key: entry.key, url: entry.url }));
+    upsertItem(statements, entry.key, entry, entry.firstSeen, entry.lastSeen);
+    for (const point of entry.prices ?? []) {
+      statements.observation.run(
+        bind({
+          slug,
+          key: entry.key,
+          observedAt: point.at,
+          regularPrice: point.regularPrice,
+          salePrice: point.salePrice,
+          discountPct: point.discountPct,
+          availability: null,
+          stockQuantity: null,
+          aisle: null,
+          bay: null,
+          promoEndDate: null,
+        })
+      );
+      observations += 1;
+    }
+  }
+  return observations;
+}
+
+function loadRun(statements, data, items) {
+  const slug = data.store.slug;
+  statements.run.run(
+    bind({
+      slug,
+      scrapedAt: data.scrapedAt,
+      status: data.status,
+      source: data.source,
+      blockedBy: data.blockedBy,
+      blockedReason: data.blockedReason,
+      count: data.count,
+      tiles: data.stats?.tiles,
+      parsedCount: data.stats?.parsedCount,
+      keptCount: data.stats?.keptCount,
+      schemaVersion: data.schemaVersion,
+    })
+  );
+  if (data.status !== 'scraped') return 0;
+
+  const seen = new Set();
+  for (const item of items) {
+    const key = itemKey(item);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    upsertItem(statements, key, item, data.scrapedAt, data.scrapedAt);
+    statements.observation.run(
+      bind({
+        slug,
+        key,
+        observedAt: data.scrapedAt,
+        regularPrice: item.regularPrice,
+        salePrice: item.salePrice,
+        discountPct: item.discountPct,
+        availability: item.availability,
+        stockQuantity: item.stockQuantity,
+        aisle: item.aisle,
+        bay: item.bay,
+        promoEndDate: item.promoEndDate,
+      })
+    );
+  }
+  return seen.size;
+}
+
+function loadShardSummary(statements, summary) {
+  statements.shardRun.run(
+    bind({
+      shardIndex: summary.shardIndex,
+      totalShards: summary.totalShards,
+      timestamp: summary.timestamp,
+      storesTotal: summary.storesTotal,
+      storesOk: summary.storesOk,
+      storesBlocked: summary.storesBlocked,
+      storesError: summary.storesError,
+      storesSkipped: summary.storesSkipped,
+      blockedReasons: JSON.stringify(summary.blockedReasons ?? {}),
+      summary: JSON.stringify(summary),
+    })
+  );
+}
+
+export async function exportToSqlite({
+  dataDir = DATA_DIR,
+  dbPath = path.join(dataDir, DB_FILE),
+} = {}) {
+  const db = await openDatabase(dbPath);
+  const statements = createStatements(db);
+  const stats = { stores: 0, runs: 0, observations: 0, shardRuns: 0 };
+  try {
+    db.run('BEGIN');
+    const entries = await fs.readdir(dataDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const baseDir = path.join(dataDir, entry.name);
+      if (/^shard-\d+$/.test(entry.name)) {
+        const summary = await readJsonIfExists(
+          path.join(baseDir, 'summary.json')
+        );
+        if (summary?.timestamp) {
+          loadShardSummary(statements, summary);
+          stats.shardRuns += 1;
+        }
+        continue;
+      }
+
+      const data = await readJsonIfExists(path.join(baseDir, 'data.json'));
+      if (!data?.store?.slug || !data.scrapedAt) continue;
+      const slug = data.store.slug;
+      statements.store.run(
+        bind({
+          slug,
+          id: data.store.id,
+          name: data.store.name,
+          scrapedAt: data.scrapedAt,
+          status: data.status,
+        })
+      );
+      stats.stores += 1;
+
+      const history = await readJsonIfExists(
+        path.join(baseDir, 'history.json')
+      );
+      if (history) {
+        stats.observations += loadHistory(statements, slug, history);
+      }
+
+      const all = await readJsonIfExists(path.join(baseDir, 'all.json'));
+      const items =
+        all?.scrapedAt === data.scrapedAt && Array.isArray(all.items)
+          ? all.items
+          : data.items ?? [];
+      stats.observations += loadRun(statements, data, items);
+      stats.runs += 1;
+    }
+    db.run(DELETE_ORPHAN_ITEMS);
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  } finally {
+    statements.free();
+  }
+
+  await fs.mkdir(path.dirname(dbPath), { recursive: true });
+  await fs.writeFile(dbPath, Buffer.from(db.export()));
+  db.close();
+  return { dbPath, ...stats };
+}
+
+async function main() {
+  const [dataDir = DATA_DIR, dbPath] = process.argv.slice(2);
+  const result = await exportToSqlite({
+    dataDir,
+    dbPath: dbPath ?? path.join(dataDir, DB_FILE),
+  });
+  console.log(
+    `[rona] sqlite stores=${result.stores} runs=${result.runs} observations=${result.observations} shardRuns=${result.shardRuns} -> ${result.dbPath}`
+  );
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,170 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { itemKey } from './rona_history.mjs';
+import {
+  STORE_SELECT_ARG_OPTIONS,
+  loadStores,
+  selectStores,
+  storeSelectionFromArgs,
+} from './rona_stores.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+
+async function readStoreData(dataDir) {
+  const entries = await fs.readdir(dataDir, { withFileTypes: true });
+  const stores = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const jsonPath = path.join(dataDir, entry.name, 'data.json');
+    try {
+      stores.push(JSON.parse(await fs.readFile(jsonPath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[rona] skipping ${jsonPath}: ${error.message}`);
+      }
+    }
+  }
+  return stores;
+}
+
+export function mergeCatalogue(storeData) {
+  const byKey = new Map();
+  let storesMerged = 0;
+
+  for (const data of storeData) {
+    if (data?.status !== 'scraped' || !Array.isArray(data.items)) continue;
+    storesMerged += 1;
+    for (const item of data.items) {
+      const key = itemKey(item);
+      let entry = byKey.get(key);
+      if (!entry) {
+        entry = {
+          key,
+          sku: item.sku || '',
+          name: item.name,
+          url: item.url,
+          image: item.image || '',
+          brand: item.brand ?? null,
+          category: item.category ?? null,
+          stores: [],
+        };
+        byKey.set(key, entry);
+      }
+      if (entry.stores.some((offer) => offer.slug === data.store.slug)) {
+        continue;
+      }
+      entry.stores.push({
+        slug: data.store.slug,
+        name: data.store.name,
+        id: data.store.id ?? null,
+        url: item.url,
+        regularPrice: item.regularPrice ?? null,
+        salePrice: item.salePrice ?? null,
+        discountPct: item.discountPct ?? null,
+        availability: item.availability ?? null,
+        stockQuantity: item.stockQuantity ?? null,
+        aisle: item.aisle ?? null,
+        bay: item.bay ?? null,
+        scrapedAt: data.scrapedAt,
+      });
+    }
+  }
+
+  const items = [...byKey.values()].map((entry) => {
+    const prices = entry.stores
+      .map((offer) => offer.salePrice)
+      .filter((value) => Number.isFinite(value));
+    const lowestPrice = prices.length ? Math.min(...prices) : null;
+    const highestPrice = prices.length ? Math.max(...prices) : null;
+    entry.stores.sort(
+      (a, b) => (a.salePrice ?? Infinity) - (b.salePrice ?? Infinity)
+    );
+    return {
+      ...entry,
+      storeCount: entry.stores.length,
+      lowestPrice,
+      highestPrice,
+      spread:
+        lowestPrice != null
+          ? Number((highestPrice - lowestPrice).toFixed(2))
+          : null,
+      cheapestStores: entry.stores
+        .filter((offer) => offer.salePrice === lowestPrice)
+        .map((offer) => offer.slug),
+    };
+  });
+  items.sort((a, b) => (b.spread ?? 0) - (a.spread ?? 0));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    storesMerged,
+    count: items.length,
+    items,
+  };
+}
+
+function toCatalogueCsv(items) {
+  const esc = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const header = [
+    'sku',
+    'name',
+    'storeCount',
+    'lowestPrice',
+    'highestPrice',
+    'spread',
+    'cheapestStores',
+    'url',
+  ].join(',');
+  const lines = items.map((item) =>
+    [
+      esc(item.sku),
+      esc(item.name),
+      item.storeCount,
+      item.lowestPrice ?? '',
+      item.highestPrice ?? '',
+      item.spread ?? '',
+      esc(item.cheapestStores.join(' ')),
+      esc(item.url),
+    ].join(',')
+  );
+  return [header, ...lines].join('\n') + '\n';
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: { ...STORE_SELECT_ARG_OPTIONS, name: { type: 'string' } },
+    allowPositionals: true,
+  });
+  const [dataDir = DATA_DIR] = positionals;
+  const name = values.name ?? 'catalogue';
+  let storeData = await readStoreData(dataDir);
+  const selection = storeSelectionFromArgs(values);
+  if (selection) {
+    const selected = await selectStores(await loadStores(), selection, {
+      cachePath: path.join(dataDir, 'geocode_cache.json'),
+    });
+    const slugs = new Set(selected.map((store) => store.slug));
+    storeData = storeData.filter((data) => slugs.has(data?.store?.slug));
+  }
+  const catalogue = mergeCatalogue(storeData);
+  if (selection) {
+    catalogue.selection = selection;
+  }
+
+  const jsonPath = path.join(dataDir, `${name}.json`);
+  const csvPath = path.join(dataDir, `${name}.csv`);
+  await fs.writeFile(jsonPath, JSON.stringify(catalogue, null, 2), 'utf8');
+  await fs.writeFile(csvPath, toCatalogueCsv(catalogue.items), 'utf8');
+  console.log(
+    `[rona] catalogue stores=${catalogue.storesMerged} items=${catalogue.count} -> ${jsonPath}`
+  );
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
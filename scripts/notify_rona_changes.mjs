@@ -0,0 +1,213 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { expandEnv } from './env_helpers.mjs';
+import { matchesFilter, normalizeFilter } from './rona_filters.mjs';
+import { createSink } from './rona_sinks.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+const DEFAULT_CONFIG_PATH = 'notify.json';
+const EVENTS = ['new', 'price-drop'];
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export function normalizeSubscriber(spec, index = 0) {
+  const events = spec.events ?? EVENTS;
+  const unknown = events.filter((event) => !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification events: ${unknown.join(', ')}`);
+  }
+  if (!Array.isArray(spec.sinks) || spec.sinks.length === 0) {
+    throw new Error(`Subscriber ${spec.name ?? index} has no sinks.`);
+  }
+  return {
+    name: spec.name ?? `subscriber-${index + 1}`,
+    stores: (spec.stores ?? []).map(String),
+    events,
+    filter: normalizeFilter({
+      ...spec,
+      include: spec.include ?? spec.keywords,
+    }),
+    sinks: spec.sinks,
+  };
+}
+
+function subscribedToStore(subscriber, store) {
+  if (subscriber.stores.length === 0) return true;
+  return (
+    subscriber.stores.includes(store.slug) ||
+    subscriber.stores.includes(String(store.id))
+  );
+}
+
+function changeEvents(changes) {
+  return [
+    ...changes.newItems.map((item) => ({ ...item, event: 'new' })),
+    ...changes.priceDrops.map((item) => ({ ...item, event: 'price-drop' })),
+  ];
+}
+
+export function buildMessages(changesList, subscribers) {
+  const generatedAt = new Date().toISOString();
+  const messages = [];
+  for (const subscriber of subscribers) {
+    const items = [];
+    for (const changes of changesList) {
+      if (!subscribedToStore(subscriber, changes.store)) continue;
+      for (const item of changeEvents(changes)) {
+        if (!subscriber.events.includes(item.event)) continue;
+        if (!matchesFilter(item, subscriber.filter)) continue;
+        items.push({
+          ...item,
+          store: changes.store,
+          scrapedAt: changes.scrapedAt,
+        });
+      }
+    }
+    if (items.length === 0) continue;
+    items.sort((a, b) => (b.discountPct ?? 0) - (a.discountPct ?? 0));
+    messages.push({
+      subscriber,
+      message: { subscriber: subscriber.name, generatedAt, items },
+    });
+  }
+  return messages;
+}
+
+async function readPendingChanges(dataDir, state) {
+  const entries = await fs.readdir(dataDir, { withFileTypes: true });
+  const pending = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const changes = await readJsonIfExists(
+      path.join(dataDir, entry.name, 'changes.json')
+    );
+    if (!changes?.store || !changes.previousRunAt) continue;
+    if (state.stores[changes.store.slug] === changes.scrapedAt) continue;
+    pending.push(changes);
+  }
+  return pending;
+}
+
+async function deliver(subscriber, message, { dryRun, result }) {
+  const sinkConfigs = dryRun ? [{ type: 'stdout' }] : subscriber.sinks;
+  let delivered = false;
+  for (const sinkConfig of sinkConfigs) {
+    const sinkType = sinkConfig.type ?? 'unknown';
+    try {
+      const sink = createSink(expandEnv(sinkConfig));
+      await sink.send(message);
+      delivered = true;
+      result.sent += 1;
+      console.log(
+        `[rona] notify subscriber=${subscriber.name} sink=${sink.type} items=${message.items.length}`
+      );
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `[rona] notify failed subscriber=${subscriber.name} sink=${sinkType} error="${error.message}"`
+      );
+    }
+  }
+  return delivered;
+}
+
+export async function notifyChanges({
+  dataDir = DATA_DIR,
+  config,
+  statePath = path.join(dataDir, 'notify_state.json'),
+  dryRun = false,
+}) {
+  const subscribers = (config.subscribers ?? []).map(normalizeSubscriber);
+  const state = (await readJsonIfExists(statePath)) ?? { stores: {} };
+  state.subscribers ??= {};
+  const pending = await readPendingChanges(dataDir, state);
+  const result = { stores: pending.length, messages: 0, sent: 0, failed: 0 };
+
+  for (const subscriber of subscribers) {
+    const sentTo = (state.subscribers[subscriber.name] ??= {});
+    const unsent = pending.filter(
+      (changes) => sentTo[changes.store.slug] !== changes.scrapedAt
+    );
+    const [built] = buildMessages(unsent, [subscriber]);
+    const undelivered = new Set();
+    if (built) {
+      result.messages += 1;
+      if (!(await deliver(subscriber, built.message, { dryRun, result }))) {
+        for (const item of built.message.items) {
+          undelivered.add(item.store.slug);
+        }
+      }
+    }
+    for (const changes of unsent) {
+      if (undelivered.has(changes.store.slug)) {
+        console.log(
+          `[rona] notify will retry subscriber=${subscriber.name} store=${changes.store.slug}: no sink delivered its changes`
+        );
+        continue;
+      }
+      sentTo[changes.store.slug] = changes.scrapedAt;
+    }
+  }
+
+  if (!dryRun) {
+    for (const changes of pending) {
+      const { slug } = changes.store;
+      if (
+        subscribers.every(
+          (subscriber) =>
+            state.subscribers[subscriber.name][slug] === changes.scrapedAt
+        )
+      ) {
+        state.stores[slug] = changes.scrapedAt;
+      }
+    }
+    state.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(statePath, JSON.stringify(state, null, 2), 'utf8');
+  }
+  return result;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      config: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+  const [dataDir = DATA_DIR] = positionals;
+  const configPath = values.config ?? DEFAULT_CONFIG_PATH;
+  const config = await readJsonIfExists(configPath);
+  if (!config) {
+    console.log(`[rona] notify skipped: ${configPath} not found`);
+    return;
+  }
+  const result = await notifyChanges({
+    dataDir,
+    config,
+    dryRun: Boolean(values['dry-run']),
+  });
+  console.log(
+    `[rona] notify stores=${result.stores} messages=${result.messages} sent=${result.sent} failed=${result.failed}`
+  );
+  if (result.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,36 @@
+export const DEFAULT_TIMEOUT = 30000;
+
+export async function clickFirstVisible(page, selectors, options = {}) {
+  for (const selector of selectors) {
+    const locator = page.locator(selector).first();
+    try {
+      if (await locator.isVisible({ timeout: options.timeout ?? 5000 })) {
+        await locator.click({ timeout: options.timeout ?? 10000 });
+        return selector;
+      }
+    } catch (error) {
+      // ignore and try next selector
+    }
+  }
+  return false;
+}
+
+export async function firstMatchingSelector(page, selectors) {
+  for (const selector of selectors) {
+    const count = await page
+      .locator(selector)
+      .count()
+      .catch(() => 0);
+    if (count > 0) return { selector, count };
+  }
+  return { selector: null, count: 0 };
+}
+
+export async function waitForTiles(page, selector, minimumCount = 1) {
+  const tiles = page.locator(selector);
+  await tiles.first().waitFor({ timeout: DEFAULT_TIMEOUT }).catch(() => {});
+  const count = await tiles.count();
+  if (count < minimumCount) {
+    await page.waitForTimeout(2000);
+  }
+}
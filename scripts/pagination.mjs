@@ -0,0 +1,263 @@
+import {
+  clickFirstVisible,
+  firstMatchingSelector,
+  waitForTiles,
+} from './page_helpers.mjs';
+
+export const PAGINATION_STRATEGIES = [
+  'button',
+  'pages',
+  'scroll',
+  'page-size',
+  'single',
+];
+
+const MAX_STEPS = 100;
+const STALLED_ROUNDS = 3;
+const SETTLE_MS = 2000;
+
+const TOTAL_COUNT_PATTERN =
+  /(\d{1,3}(?:[\s.,]\d{3})+|\d+)\s+(?:produits?|articles?|r[eé]sultats?|products?|items?|results?)\b/i;
+
+export function parseAdvertisedTotal(text, pattern = TOTAL_COUNT_PATTERN) {
+  const match = String(text ?? '').match(pattern);
+  if (!match) return null;
+  const value = Number.parseInt(match[1].replace(/\D/g, ''), 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+export function lastPageNumber(links, pageParam = 'page') {
+  let last = null;
+  for (const { text, href } of links) {
+    const candidates = [String(text ?? '').trim()];
+    try {
+      candidates.push(
+        new URL(href, 'https://example.invalid').searchParams.get(pageParam)
+      );
+    } catch (error) {
+      // ignore malformed links
+    }
+    for (const candidate of candidates) {
+      if (!/^\d+$/.test(candidate ?? '')) continue;
+      const number = Number.parseInt(candidate, 10);
+      if (last == null || number > last) last = number;
+    }
+  }
+  return last;
+}
+
+export function withParam(url, name, value) {
+  const next = new URL(url);
+  next.searchParams.set(name, String(value));
+  return next.toString();
+}
+
+function tileKey(tile) {
+  return tile.url || tile.sku || JSON.stringify(tile);
+}
+
+async function countTiles(page, config) {
+  return (await firstMatchingSelector(page, config.tileSelectors)).count;
+}
+
+function anyTileSelector(config) {
+  return config.tileSelectors.join(', ');
+}
+
+async function anyVisible(page, selectors = []) {
+  for (const selector of selectors) {
+    const visible = await page
+      .locator(selector)
+      .first()
+      .isVisible()
+      .catch(() => false);
+    if (visible) return true;
+  }
+  return false;
+}
+
+async function anyPresent(page, selectors = []) {
+  for (const selector of selectors) {
+    if ((await page.locator(selector).count().catch(() => 0)) > 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function settle(page, config) {
+  await page.waitForTimeout(config.settleMs ?? SETTLE_MS);
+  await page.waitForLoadState('networkidle').catch(() => {});
+}
+
+export async function detectPagination(page, config) {
+  if (await anyVisible(page, config.loadMoreSelectors)) return 'button';
+  if (await anyVisible(page, config.pageLinkSelectors)) return 'pages';
+  if (await anyPresent(page, config.scrollSentinelSelectors)) return 'scroll';
+  if (config.pageSizeParam) {
+    try {
+      if (new URL(page.url()).searchParams.has(config.pageSizeParam)) {
+        return 'page-size';
+      }
+    } catch (error) {
+      // not a URL we can rewrite
+    }
+  }
+  return 'single';
+}
+
+async function walkButton(page, config, { health }) {
+  const maxSteps = config.maxSteps ?? MAX_STEPS;
+  let count = await countTiles(page, config);
+  let stalled = 0;
+  let steps = 0;
+  while (steps < maxSteps) {
+    const clicked = await clickFirstVisible(page, config.loadMoreSelectors, {
+      timeout: 5000,
+    });
+    if (!clicked) {
+      health?.miss('loadMore');
+      return { steps };
+    }
+    health?.hit('loadMore', clicked);
+    steps += 1;
+    await settle(page, config);
+    await waitForTiles(page, anyTileSelector(config), count + 1);
+    const next = await countTiles(page, config);
+    stalled = next > count ? 0 : stalled + 1;
+    count = next;
+    if (stalled >= STALLED_ROUNDS) return { steps, stopped: 'stalled' };
+  }
+  return { steps, stopped: 'max-steps' };
+}
+
+async function walkScroll(page, config) {
+  const maxSteps = config.maxSteps ?? MAX_STEPS;
+  let count = await countTiles(page, config);
+  let stable = 0;
+  for (let steps = 1; steps <= maxSteps; steps += 1) {
+    await page.evaluate((selectors) => {
+      const sentinel = selectors
+        .map((selector) => document.querySelector(selector))
+        .find(Boolean);
+      if (sentinel) {
+        sentinel.scrollIntoView();
+      } else {
+        window.scrollTo(0, document.body.scrollHeight);
+      }
+    }, config.scrollSentinelSelectors ?? []);
+    await settle(page, config);
+    const next = await countTiles(page, config);
+    stable = next > count ? 0 : stable + 1;
+    count = next;
+    if (stable >= STALLED_ROUNDS) return { steps };
+  }
+  return { steps: maxSteps, stopped: 'max-steps' };
+}
+
+async function walkPages(page, config, { navigate, readTiles }) {
+  const maxSteps = config.maxSteps ?? MAX_STEPS;
+  const pageParam = config.pageParam ?? 'page';
+  const startUrl = page.url();
+  const links = await page
+    .locator(config.pageLinkSelectors.join(', '))
+    .evaluateAll((elements) =>
+      elements.map((element) => ({
+        text: element.textContent,
+        href: element.getAttribute('href'),
+      }))
+    )
+    .catch(() => []);
+  const lastPage = lastPageNumber(links, pageParam);
+  const firstPage =
+    Number.parseInt(new URL(startUrl).searchParams.get(pageParam), 10) || 1;
+
+  const tileData = [...(await readTiles(page))];
+  const seen = new Set(tileData.map(tileKey));
+  let pages = 1;
+  for (let steps = 1; steps <= maxSteps; steps += 1) {
+    const number = firstPage + steps;
+    if (lastPage != null && number > lastPage) {
+      return { steps: steps - 1, pages, lastPage, tileData };
+    }
+    await navigate(withParam(startUrl, pageParam, number));
+    await waitForTiles(page, anyTileSelector(config), 1);
+    const fresh = (await readTiles(page)).filter(
+      (tile) => !seen.has(tileKey(tile))
+    );
+    if (fresh.length === 0) {
+      return { steps, pages, lastPage, tileData };
+    }
+    for (const tile of fresh) {
+      seen.add(tileKey(tile));
+      tileData.push(tile);
+    }
+    pages += 1;
+  }
+  return { steps: maxSteps, pages, lastPage, tileData, stopped: 'max-steps' };
+}
+
+async function walkPageSize(page, config, { navigate }) {
+  const wanted = String(config.pageSizeValue);
+  if (new URL(page.url()).searchParams.get(config.pageSizeParam) === wanted) {
+    return { steps: 0 };
+  }
+  await navigate(withParam(page.url(), config.pageSizeParam, wanted));
+  await waitForTiles(page, anyTileSelector(config), 1);
+  return { steps: 1 };
+}
+
+const WALKERS = {
+  button: walkButton,
+  pages: walkPages,
+  scroll: walkScroll,
+  'page-size': walkPageSize,
+  single: async () => ({ steps: 0 }),
+};
+
+export async function readAdvertisedTotal(page, config) {
+  for (const selector of config.totalCountSelectors ?? []) {
+    const text = await page
+      .locator(selector)
+      .first()
+      .textContent({ timeout: 1000 })
+      .catch(() => null);
+    const total = parseAdvertisedTotal(text, config.totalCountPattern);
+    if (total != null) return total;
+  }
+  return null;
+}
+
+export async function paginate(page, config, options = {}) {
+  const {
+    navigate = (url) => page.goto(url, { waitUntil: 'domcontentloaded' }),
+    readTiles = null,
+    health = null,
+  } = options;
+  await waitForTiles(page, anyTileSelector(config), 1);
+  let strategy = await detectPagination(page, config);
+  if (strategy === 'pages' && !readTiles) strategy = 'single';
+  const walked = await WALKERS[strategy](page, config, {
+    navigate,
+    readTiles,
+    health,
+  });
+  const collected = walked.tileData
+    ? walked.tileData.length
+    : await countTiles(page, config);
+  const advertised = await readAdvertisedTotal(page, config);
+  const truncatedReason =
+    walked.stopped ??
+    (advertised != null && collected < advertised ? 'below-advertised' : null);
+  return {
+    strategy,
+    steps: walked.steps,
+    pages: walked.pages ?? 1,
+    lastPage: walked.lastPage ?? null,
+    collected,
+    advertised,
+    truncated: truncatedReason != null,
+    truncatedReason,
+    tileData: walked.tileData ?? null,
+  };
+}
@@ -0,0 +1,189 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadStores } from './rona_stores.mjs';
+import {
+  RETAILER_ARG_OPTIONS,
+  retailerFromArgs,
+} from './retailers/index.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+
+const BASE_STORE_MS = 45000;
+const PER_ITEM_MS = 400;
+const DEFAULT_STORE_MS = 90000;
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export function estimateStoreCost(data) {
+  if (!data) return null;
+  const durationMs = data.stats?.durationMs;
+  if (data.status === 'scraped' && Number.isFinite(durationMs)) {
+    return durationMs;
+  }
+  const parsed = data.stats?.parsedCount ?? data.count;
+  if (data.status === 'scraped' && Number.isFinite(parsed)) {
+    return BASE_STORE_MS + PER_ITEM_MS * parsed;
+  }
+  return null;
+}
+
+export async function loadStoreCosts(dataDir, stores) {
+  const costs = new Map();
+  for (const store of stores) {
+    let data = null;
+    try {
+      data = await readJsonIfExists(
+        path.join(dataDir, store.slug, 'data.json')
+      );
+    } catch (error) {
+      console.log(`[rona] plan ignoring unreadable data for ${store.slug}`);
+    }
+    costs.set(store.slug, estimateStoreCost(data));
+  }
+  return costs;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+export function planShards(stores, costs, totalShards) {
+  if (!Number.isInteger(totalShards) || totalShards < 1) {
+    throw new Error('totalShards must be an integer >= 1.');
+  }
+  const known = stores
+    .map((store) => costs.get(store.slug))
+    .filter((cost) => Number.isFinite(cost));
+  const fallback = median(known) ?? DEFAULT_STORE_MS;
+  const weighted = stores
+    .map((store) => {
+      const cost = costs.get(store.slug);
+      return {
+        slug: store.slug,
+        cost: Number.isFinite(cost) ? cost : fallback,
+      };
+    })
+    .sort((a, b) => b.cost - a.cost || a.slug.localeCompare(b.slug));
+
+  const shards = Array.from({ length: totalShards }, (_, index) => ({
+    index: index + 1,
+    stores: [],
+    estimatedMs: 0,
+  }));
+  for (const { slug, cost } of weighted) {
+    const lightest = shards.reduce((best, shard) =>
+      shard.estimatedMs < best.estimatedMs ? shard : best
+    );
+    lightest.stores.push(slug);
+    lightest.estimatedMs += cost;
+  }
+
+  return {
+    totalShards,
+    generatedAt: new Date().toISOString(),
+    defaultStoreMs: fallback,
+    shards,
+  };
+}
+
+export async function buildShardPlan({
+  dataDir = DATA_DIR,
+  stores,
+  totalShards,
+}) {
+  const costs = await loadStoreCosts(dataDir, stores);
+  return planShards(stores, costs, totalShards);
+}
+
+export async function loadShardPlan(planPath, totalShards) {
+  const plan = await readJsonIfExists(planPath);
+  if (!plan) {
+    console.log(`[rona] no shard plan at ${planPath}`);
+    return null;
+  }
+  if (plan.totalShards !== totalShards || !Array.isArray(plan.shards)) {
+    console.log(
+      `[rona] ignoring shard plan for ${plan.totalShards} shards (running ${totalShards})`
+    );
+    return null;
+  }
+  return plan;
+}
+
+export function storesForShard(stores, plan, shardIndex) {
+  const planned = new Set(plan.shards.flatMap((shard) => shard.stores));
+  const wanted = new Set(plan.shards[shardIndex - 1]?.stores ?? []);
+  const unplanned = stores.filter((store) => !planned.has(store.slug));
+  return [
+    ...stores.filter((store) => wanted.has(store.slug)),
+    ...unplanned.filter(
+      (_, index) => index % plan.totalShards === shardIndex - 1
+    ),
+  ];
+}
+
+export function logShardPlan(plan) {
+  for (const shard of plan.shards) {
+    console.log(
+      `[rona] plan shard=${shard.index} stores=${shard.stores.length} estimatedMin=${(shard.estimatedMs / 60000).toFixed(1)}`
+    );
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      shards: { type: 'string' },
+      stores: { type: 'string' },
+      output: { type: 'string' },
+      ...RETAILER_ARG_OPTIONS,
+    },
+  });
+  const adapter = retailerFromArgs(values);
+  const totalShards = Number.parseInt(
+    values.shards ?? process.env.TOTAL_SHARDS ?? '4',
+    10
+  );
+  const stores = await loadStores(values.stores ?? adapter.storesPath);
+  const plan = await buildShardPlan({
+    dataDir: adapter.dataDir,
+    stores,
+    totalShards,
+  });
+  const outputPath =
+    values.output ?? path.join(adapter.dataDir, 'shard_plan.json');
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(plan, null, 2), 'utf8');
+  logShardPlan(plan);
+  console.log(`[rona] wrote ${outputPath}`);
+
+  if (process.env.GITHUB_OUTPUT) {
+    const matrix = plan.shards.map((shard) => shard.index);
+    await fs.appendFile(
+      process.env.GITHUB_OUTPUT,
+      `shards=${JSON.stringify(matrix)}\ntotal=${totalShards}\n`,
+      'utf8'
+    );
+  }
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
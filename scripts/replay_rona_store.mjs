@@ -0,0 +1,164 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { extractProducts, launchBrowser } from './scrape_store.mjs';
+import { RETAILER_ARG_OPTIONS, retailerFromArgs } from './retailers/index.mjs';
+import { DEFAULT_FILTER, parseFilterArgs } from './rona_filters.mjs';
+import { extractProductsFromCaptured } from './rona_parsing.mjs';
+import { loadStores } from './rona_stores.mjs';
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function resolveFixtureDir(target, dataDir) {
+  const stat = await fs.stat(target).catch(() => null);
+  if (stat?.isDirectory()) return target;
+  return path.join(dataDir, target);
+}
+
+export async function loadCaptured(fixtureDir) {
+  const indexText = await readIfExists(
+    path.join(fixtureDir, 'network_index.json')
+  );
+  let entries;
+  if (indexText) {
+    entries = JSON.parse(indexText).captures;
+  } else {
+    const files = (await fs.readdir(fixtureDir)).filter((file) =>
+      /^network_\d+\.json$/.test(file)
+    );
+    entries = files.map((file) => ({
+      file,
+      url: `file://${path.resolve(fixtureDir, file)}`,
+      isJson: true,
+    }));
+  }
+
+  const captured = [];
+  for (const entry of entries) {
+    if (!entry.isJson) continue;
+    const text = await readIfExists(path.join(fixtureDir, entry.file));
+    if (!text) continue;
+    try {
+      captured.push({ url: entry.url, data: JSON.parse(text) });
+    } catch (error) {
+      console.error(`[rona] replay skipping ${entry.file}: ${error.message}`);
+    }
+  }
+  return captured;
+}
+
+export async function replayHtml(html, pageUrl, filter, adapter) {
+  const browser = await launchBrowser();
+  try {
+    const context = await browser.newContext({
+      viewport: { width: 1280, height: 720 },
+    });
+    await context.route('**/*', (route) => {
+      const request = route.request();
+      if (request.isNavigationRequest() && !request.frame().parentFrame()) {
+        return route.fulfill({
+          status: 200,
+          contentType: 'text/html; charset=utf-8',
+          body: html,
+        });
+      }
+      return route.abort();
+    });
+    const page = await context.newPage();
+    await page.goto(pageUrl, { waitUntil: 'domcontentloaded' });
+    return await extractProducts(page, filter, adapter);
+  } finally {
+    await browser.close();
+  }
+}
+
+export async function replayStore(
+  fixtureDir,
+  { adapter, filter = DEFAULT_FILTER, store = null }
+) {
+  const indexText = await readIfExists(
+    path.join(fixtureDir, 'network_index.json')
+  );
+  const pageUrl =
+    (indexText && JSON.parse(indexText).pageUrl) ||
+    adapter.resolveClearanceUrl(store, adapter.defaultLanguage);
+
+  const report = { fixtureDir, pageUrl, filter, captured: null, dom: null };
+
+  const captured = await loadCaptured(fixtureDir);
+  if (captured.length > 0) {
+    const fromJson = extractProductsFromCaptured(
+      captured,
+      adapter.baseUrl,
+      filter
+    );
+    report.captured = {
+      files: captured.length,
+      matched: fromJson.matched
+        ? { url: fromJson.matched.url, path: fromJson.matched.path }
+        : null,
+      parsed: fromJson.allProducts.length,
+      kept: fromJson.products.length,
+      products: fromJson.products,
+    };
+    console.log(
+      `[rona] replay json files=${captured.length} path=${report.captured.matched?.path ?? '-'} parsed=${report.captured.parsed} kept=${report.captured.kept}`
+    );
+  }
+
+  const html = await readIfExists(path.join(fixtureDir, 'debug.html'));
+  if (html) {
+    const fromDom = await replayHtml(html, pageUrl, filter, adapter);
+    report.dom = {
+      parsed: fromDom.parsedCount,
+      normalized: fromDom.allProducts.length,
+      kept: fromDom.products.length,
+      products: fromDom.products,
+    };
+    console.log(
+      `[rona] replay dom parsed=${report.dom.parsed} normalized=${report.dom.normalized} kept=${report.dom.kept}`
+    );
+  }
+
+  if (!report.captured && !report.dom) {
+    throw new Error(`No debug.html or network_*.json fixtures in ${fixtureDir}`);
+  }
+
+  const replayPath = path.join(fixtureDir, 'replay.json');
+  await fs.writeFile(replayPath, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`[rona] replay wrote ${replayPath}`);
+  return report;
+}
+
+async function main() {
+  const { filter, positionals, values } = await parseFilterArgs(
+    process.argv.slice(2),
+    RETAILER_ARG_OPTIONS
+  );
+  const [target] = positionals;
+  if (!target) {
+    throw new Error(
+      'Usage: node scripts/replay_rona_store.mjs <store-slug|fixture-dir> [--retailer id] [filter flags]'
+    );
+  }
+  const adapter = retailerFromArgs(values);
+  const fixtureDir = await resolveFixtureDir(target, adapter.dataDir);
+  const stores = await loadStores(adapter.storesPath);
+  const store = stores.find(
+    (entry) => entry.slug === path.basename(fixtureDir)
+  );
+  await replayStore(fixtureDir, { adapter, filter, store });
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
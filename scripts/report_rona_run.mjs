@@ -0,0 +1,295 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+const DATA_DIR = path.join('data', 'rona');
+const STATUS_ORDER = ['error', 'blocked', 'missing', 'scraped'];
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function loadShardSummaries(dataDir) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dataDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const summaries = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !/^shard-\d+$/.test(entry.name)) continue;
+    const summary = await readJsonIfExists(
+      path.join(dataDir, entry.name, 'summary.json')
+    );
+    if (summary) summaries.push(summary);
+  }
+  return summaries.sort((a, b) => a.shardIndex - b.shardIndex);
+}
+
+function statusRank(status) {
+  const rank = STATUS_ORDER.indexOf(status);
+  return rank === -1 ? STATUS_ORDER.length : rank;
+}
+
+function latestRun(summaries) {
+  const latest = summaries.reduce(
+    (best, summary) =>
+      !best || (summary.timestamp ?? '') > (best.timestamp ?? '')
+        ? summary
+        : best,
+    null
+  );
+  const current = summaries.filter(
+    (summary) => summary.totalShards === latest?.totalShards
+  );
+  return { current, stale: summaries.length - current.length };
+}
+
+export function buildRunReport(allSummaries) {
+  const { current: summaries, stale } = latestRun(allSummaries);
+  const totals = {
+    shards: summaries.length,
+    stores: 0,
+    ok: 0,
+    blocked: 0,
+    error: 0,
+    skipped: 0,
+    viaApi: 0,
+  };
+  const blockedReasons = {};
+  const stores = [];
+  const shards = [];
+
+  for (const summary of summaries) {
+    totals.stores += summary.storesTotal ?? 0;
+    totals.ok += summary.storesOk ?? 0;
+    totals.blocked += summary.storesBlocked ?? 0;
+    totals.error += summary.storesError ?? 0;
+    totals.skipped += summary.storesSkipped ?? 0;
+    totals.viaApi += summary.storesViaApi ?? 0;
+    for (const [reason, count] of Object.entries(
+      summary.blockedReasons ?? {}
+    )) {
+      blockedReasons[reason] = (blockedReasons[reason] ?? 0) + count;
+    }
+    shards.push({
+      shardIndex: summary.shardIndex,
+      totalShards: summary.totalShards,
+      timestamp: summary.timestamp ?? null,
+      durationMs: summary.durationMs ?? null,
+      estimatedMs: summary.estimatedMs ?? null,
+      storesTotal: summary.storesTotal ?? 0,
+      storesOk: summary.storesOk ?? 0,
+      storesBlocked: summary.storesBlocked ?? 0,
+      storesError: summary.storesError ?? 0,
+      storesSkipped: summary.storesSkipped ?? 0,
+      storesWithErrors: summary.validation?.storesWithErrors ?? null,
+    });
+    for (const store of summary.stores ?? []) {
+      stores.push({ shardIndex: summary.shardIndex, ...store });
+    }
+  }
+
+  stores.sort(
+    (a, b) =>
+      statusRank(a.status) - statusRank(b.status) ||
+      a.slug.localeCompare(b.slug)
+  );
+  const failed = stores.filter((store) => store.status !== 'scraped');
+  const warnings = [];
+  if (stale > 0) {
+    warnings.push(
+      `Ignored ${stale} shard summaries left over from a run with a different shard count.`
+    );
+  }
+  for (const summary of summaries) {
+    const { storesWithErrors, maxErrorStores, failure } =
+      summary.validation ?? {};
+    if (failure) {
+      warnings.push(
+        `Shard ${summary.shardIndex} failed validation: ${failure}.`
+      );
+    } else if (maxErrorStores != null && storesWithErrors > maxErrorStores) {
+      warnings.push(
+        `Shard ${summary.shardIndex} failed validation: ${storesWithErrors} stores with errors (max ${maxErrorStores}).`
+      );
+    }
+  }
+  const expected = summaries[0]?.totalShards ?? 0;
+  if (summaries.length < expected) {
+    const seen = new Set(summaries.map((summary) => summary.shardIndex));
+    const missing = [];
+    for (let index = 1; index <= expected; index += 1) {
+      if (!seen.has(index)) missing.push(index);
+    }
+    warnings.push(`Missing shard summaries: ${missing.join(', ')}.`);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totals,
+    blockedReasons,
+    warnings,
+    shards,
+    failed: failed.map((store) => store.slug),
+    stores,
+  };
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${(ms / 60000).toFixed(1)}m`;
+}
+
+function cell(value) {
+  if (value == null || value === '') return '-';
+  return String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+  ];
+}
+
+export function formatRunReportMarkdown(report) {
+  const { totals } = report;
+  const lines = [
+    '# RONA run report',
+    '',
+    `Generated ${report.generatedAt}: ${totals.ok}/${totals.stores} stores scraped, ${totals.blocked} blocked, ${totals.error} errors, ${totals.skipped} skipped from checkpoint, ${totals.viaApi} via API.`,
+    '',
+  ];
+  for (const warning of report.warnings) {
+    lines.push(`> ${warning}`, '');
+  }
+
+  lines.push('## Shards', '');
+  lines.push(
+    ...table(
+      [
+        'Shard',
+        'Stores',
+        'OK',
+        'Blocked',
+        'Error',
+        'Skipped',
+        'Duration',
+        'Estimate',
+      ],
+      report.shards.map((shard) => [
+        `${shard.shardIndex}/${shard.totalShards}`,
+        shard.storesTotal,
+        shard.storesOk,
+        shard.storesBlocked,
+        shard.storesError,
+        shard.storesSkipped,
+        formatDuration(shard.durationMs),
+        formatDuration(shard.estimatedMs),
+      ])
+    ),
+    ''
+  );
+
+  const reasons = Object.entries(report.blockedReasons).sort(
+    (a, b) => b[1] - a[1]
+  );
+  if (reasons.length > 0) {
+    lines.push('## Blocked reasons', '');
+    lines.push(...table(['Reason', 'Stores'], reasons), '');
+  }
+
+  const failed = report.stores.filter((store) => store.status !== 'scraped');
+  lines.push('## Failed stores', '');
+  if (failed.length === 0) {
+    lines.push('None.', '');
+  } else {
+    lines.push(
+      ...table(
+        ['Store', 'Shard', 'Status', 'Attempts', 'Reason'],
+        failed.map((store) => [
+          store.slug,
+          store.shardIndex,
+          store.status,
+          store.attempts,
+          store.blockedReason ?? store.error,
+        ])
+      ),
+      ''
+    );
+  }
+
+  lines.push('## All stores', '');
+  lines.push(
+    ...table(
+      ['Store', 'Shard', 'Status', 'Items', 'Duration', 'Source', 'Note'],
+      report.stores.map((store) => [
+        store.slug,
+        store.shardIndex,
+        store.status,
+        store.count,
+        formatDuration(store.durationMs),
+        store.source,
+        store.skipped ? 'checkpoint' : store.blockedReason ?? store.error,
+      ])
+    ),
+    ''
+  );
+  return lines.join('\n');
+}
+
+export async function writeRunReport({
+  dataDir = DATA_DIR,
+  outDir = dataDir,
+} = {}) {
+  const report = buildRunReport(await loadShardSummaries(dataDir));
+  await fs.mkdir(outDir, { recursive: true });
+  const jsonPath = path.join(outDir, 'report.json');
+  const markdownPath = path.join(outDir, 'report.md');
+  const markdown = formatRunReportMarkdown(report);
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(markdownPath, markdown, 'utf8');
+  return { report, jsonPath, markdownPath, markdown };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      out: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+  const dataDir = positionals[0] ?? DATA_DIR;
+  const { report, jsonPath, markdownPath, markdown } = await writeRunReport({
+    dataDir,
+    outDir: values.out ?? dataDir,
+  });
+  const { totals } = report;
+  console.log(
+    `[rona] run report shards=${totals.shards} stores=${totals.stores} ok=${totals.ok} blocked=${totals.blocked} error=${totals.error} skipped=${totals.skipped}`
+  );
+  for (const warning of report.warnings) {
+    console.log(`[rona] ${warning}`);
+  }
+  console.log(`[rona] wrote ${jsonPath} and ${markdownPath}`);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+  }
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,88 @@
+import { loadSelectorProfile } from '../selector_profiles.mjs';
+import { ronaAdapter } from './rona.mjs';
+
+export const DEFAULT_RETAILER = 'rona';
+
+export const RETAILER_ARG_OPTIONS = {
+  retailer: { type: 'string' },
+  lang: { type: 'string' },
+  selectors: { type: 'string' },
+};
+
+const REQUIRED_HOOKS = [
+  'resolveClearanceUrl',
+  'selectStore',
+  'loadAllProducts',
+  'readTiles',
+];
+
+const RETAILERS = new Map();
+
+export function registerRetailer(adapter) {
+  if (!adapter?.id || !adapter.baseUrl || !adapter.dataDir) {
+    throw new Error('Retailer adapters need "id", "baseUrl" and "dataDir".');
+  }
+  const missing = REQUIRED_HOOKS.filter(
+    (hook) => typeof adapter[hook] !== 'function'
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Retailer adapter "${adapter.id}" is missing ${missing.join(', ')}.`
+    );
+  }
+  RETAILERS.set(adapter.id, adapter);
+}
+
+export function listRetailers() {
+  return [...RETAILERS.keys()];
+}
+
+export function getRetailer(id = DEFAULT_RETAILER) {
+  const adapter = RETAILERS.get(id);
+  if (!adapter) {
+    throw new Error(
+      `Unknown retailer "${id}" (known: ${listRetailers().join(', ')}).`
+    );
+  }
+  return adapter;
+}
+
+export function retailerFromArgs(values) {
+  return getRetailer(
+    values.retailer ?? (process.env.RETAILER || DEFAULT_RETAILER)
+  );
+}
+
+export function languagesFromArgs(values, adapter) {
+  if (!values.lang) return null;
+  const languages = [
+    ...new Set(
+      values.lang
+        .split(',')
+        .map((lang) => lang.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  const supported = adapter.languages ?? [];
+  const unknown = languages.filter((lang) => !supported.includes(lang));
+  if (languages.length === 0 || unknown.length > 0) {
+    throw new Error(
+      `--lang must list languages supported by ${adapter.id} (${supported.join(', ') || 'none'}), got "${values.lang}".`
+    );
+  }
+  return languages;
+}
+
+export function logPrefix(adapter) {
+  return `[${String(adapter.name ?? adapter.id).toLowerCase()}]`;
+}
+
+export async function selectorsFromArgs(values, adapter) {
+  const selectorsPath = values.selectors ?? process.env.SELECTORS_PATH;
+  if (!selectorsPath) return adapter.selectors ?? null;
+  const selectors = await loadSelectorProfile(selectorsPath);
+  console.log(`${logPrefix(adapter)} selector profile ${selectorsPath}`);
+  return selectors;
+}
+
+registerRetailer(ronaAdapter);
@@ -0,0 +1,252 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { clickFirstVisible } from '../page_helpers.mjs';
+import { paginate } from '../pagination.mjs';
+import {
+  loadSelectorProfile,
+  readTilesWithProfile,
+  selectorChain,
+} from '../selector_profiles.mjs';
+
+export const CLEARANCE_URL =
+  'https://www.rona.ca/webapp/wcs/stores/servlet/RonaPromoClearanceView?catalogId=10051&storeId=10151&langId=-2&pageSize=infinite&content=PromoClearance&page=1';
+
+const STORE_LOCATOR_URL =
+  'https://www.rona.ca/webapp/wcs/stores/servlet/RonaStoreLocatorView?catalogId=10051&storeId=10151&langId=-2';
+
+const STORE_COOKIE_PATTERN = /store|locator/i;
+
+const LANGUAGES = ['fr', 'en'];
+const LANG_IDS = { fr: '-2', en: '-1' };
+
+export const SELECTORS_PATH = fileURLToPath(
+  new URL('./rona.selectors.json', import.meta.url)
+);
+
+const DEFAULT_SELECTORS = await loadSelectorProfile(SELECTORS_PATH);
+
+async function handleOneTrust(
+  page,
+  { language, selectors = DEFAULT_SELECTORS, health = null } = {}
+) {
+  const clicked = await clickFirstVisible(
+    page,
+    selectorChain(selectors, 'cookieBanner', language),
+    { timeout: 5000 }
+  );
+  if (clicked) {
+    health?.hit('cookieBanner', clicked);
+  } else {
+    health?.miss('cookieBanner');
+  }
+  return clicked;
+}
+
+function normalizeStoreText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+]+/g, ' ')
+    .trim();
+}
+
+function cookieHoldsStoreId(value, storeId) {
+  return String(value ?? '')
+    .split(/[^A-Za-z0-9]+/)
+    .includes(storeId);
+}
+
+export function confirmStore(store, header) {
+  if (!header || store?.id == null) return null;
+  const storeId = String(store.id);
+  if (header.storeId != null && String(header.storeId) === storeId) {
+    return 'store-id';
+  }
+  if (
+    (header.cookieValues ?? []).some((value) =>
+      cookieHoldsStoreId(value, storeId)
+    )
+  ) {
+    return 'cookie';
+  }
+  const name = normalizeStoreText(store.name);
+  if (name && normalizeStoreText(header.text) === name) {
+    return 'name';
+  }
+  return null;
+}
+
+async function readStoreCookies(page) {
+  const cookies = await page
+    .context()
+    .cookies(page.url())
+    .catch(() => []);
+  return cookies
+    .filter((cookie) => STORE_COOKIE_PATTERN.test(cookie.name))
+    .map((cookie) => cookie.value);
+}
+
+async function readSelectedStore(page, selectors) {
+  const cookieValues = await readStoreCookies(page);
+  const headerSelector = selectorChain(selectors, 'storeHeader').join(', ');
+  const header = page.locator(headerSelector).first();
+  try {
+    await header.waitFor({ timeout: 5000 });
+  } catch (error) {
+    return { text: '', storeId: null, cookieValues };
+  }
+  const text = ((await header.textContent().catch(() => '')) || '').trim();
+  const storeId =
+    (await header.getAttribute('data-store-id').catch(() => null)) ||
+    (await page
+      .locator(`${headerSelector} [data-store-id]`)
+      .first()
+      .getAttribute('data-store-id', { timeout: 1000 })
+      .catch(() => null));
+  return { text, storeId, cookieValues };
+}
+
+export async function searchStoreLocator(
+  page,
+  query,
+  navigate,
+  selectors = DEFAULT_SELECTORS
+) {
+  await navigate(STORE_LOCATOR_URL);
+  await handleOneTrust(page, { selectors });
+  const search = page
+    .locator(selectorChain(selectors, 'storeLocatorSearch').join(', '))
+    .first();
+  await search.fill(query, { timeout: 10000 });
+  const submitted = await clickFirstVisible(
+    page,
+    selectorChain(selectors, 'storeLocatorSubmit'),
+    { timeout: 3000 }
+  );
+  if (!submitted) {
+    await search.press('Enter');
+  }
+  await page.waitForLoadState('networkidle').catch(() => {});
+}
+
+async function chooseStoreViaLocator(page, store, navigate, selectors) {
+  await searchStoreLocator(
+    page,
+    store.locationQuery || store.name,
+    navigate,
+    selectors
+  );
+  const result = page.locator(`[data-store-id="${store.id}"]`).first();
+  if ((await result.count()) === 0) return false;
+  return clickFirstVisible(result, selectorChain(selectors, 'setMyStore'), {
+    timeout: 5000,
+  });
+}
+
+async function selectStore(page, store, targetUrl, navigate, selectors) {
+  const selection = {
+    requestedId: store.id ?? null,
+    requestedName: store.name,
+    method: 'existing',
+    confirmed: false,
+    confirmedBy: null,
+    headerText: null,
+    headerStoreId: null,
+  };
+
+  let header = await readSelectedStore(page, selectors);
+  let confirmedBy = confirmStore(store, header);
+  if (!confirmedBy) {
+    selection.method = 'store-locator';
+    const chosen = await chooseStoreViaLocator(
+      page,
+      store,
+      navigate,
+      selectors
+    ).catch(() => false);
+    if (chosen) {
+      await page.waitForLoadState('networkidle').catch(() => {});
+    }
+    await navigate(targetUrl);
+    await handleOneTrust(page, { selectors });
+    header = await readSelectedStore(page, selectors);
+    confirmedBy = confirmStore(store, header);
+  }
+
+  selection.headerText = header.text || null;
+  selection.headerStoreId = header.storeId || null;
+  selection.confirmed = confirmedBy != null;
+  selection.confirmedBy = confirmedBy;
+  return selection;
+}
+
+export function resolveClearanceUrl(store, language = null) {
+  const base = store?.clearanceUrl || CLEARANCE_URL;
+  if (!language) return base;
+  if (!LANG_IDS[language]) {
+    throw new Error(`RONA has no "${language}" site (use fr or en).`);
+  }
+  const url = new URL(base);
+  if (!url.searchParams.has('langId')) return base;
+  url.searchParams.set('langId', LANG_IDS[language]);
+  return url.toString();
+}
+
+async function loadAllProducts(
+  page,
+  { language, navigate, selectors = DEFAULT_SELECTORS, health = null } = {}
+) {
+  return paginate(
+    page,
+    {
+      tileSelectors: selectors.tiles,
+      loadMoreSelectors: selectorChain(selectors, 'loadMore', language),
+      pageLinkSelectors: selectorChain(selectors, 'pageLinks'),
+      scrollSentinelSelectors: selectorChain(selectors, 'scrollSentinels'),
+      totalCountSelectors: selectorChain(selectors, 'resultCount'),
+      pageParam: 'page',
+      pageSizeParam: 'pageSize',
+      pageSizeValue: 'infinite',
+    },
+    {
+      navigate,
+      health,
+      readTiles: (current) => readTiles(current, { selectors, health }),
+    }
+  );
+}
+
+async function readTiles(
+  page,
+  { selectors = DEFAULT_SELECTORS, health = null } = {}
+) {
+  return readTilesWithProfile(page, selectors, health);
+}
+
+export const ronaAdapter = {
+  id: 'rona',
+  name: 'RONA',
+  baseUrl: 'https://www.rona.ca',
+  dataDir: path.join('data', 'rona'),
+  storesPath: 'stores.json',
+  languages: LANGUAGES,
+  defaultLanguage: 'fr',
+  selectors: DEFAULT_SELECTORS,
+  selectorsPath: SELECTORS_PATH,
+  captureMatchers:
+    /PromoClearance|Search|Catalog|GetCatalog|wcs|api|products/i,
+  storeCookies: STORE_COOKIE_PATTERN,
+  resolveClearanceUrl,
+  dismissConsent: handleOneTrust,
+  async selectStore(
+    page,
+    store,
+    { targetUrl, navigate, selectors = DEFAULT_SELECTORS }
+  ) {
+    return selectStore(page, store, targetUrl, navigate, selectors);
+  },
+  loadAllProducts,
+  readTiles,
+  searchStoreLocator,
+};
@@ -0,0 +1,203 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pickFirstValue } from './rona_parsing.mjs';
+
+const PAGE_PARAMS = ['page', 'pageNumber', 'currentPage', 'p'];
+const OFFSET_PARAMS = ['beginIndex', 'offset', 'start', 'from'];
+const PAGE_SIZE_PARAMS = ['pageSize', 'size', 'rows', 'limit', 'resultsPerPage'];
+const STORE_ID_PATHS = [
+  'physicalStoreId',
+  'physicalStore.id',
+  'storeNumber',
+  'store.id',
+  'store.storeNumber',
+];
+const MAX_CONSECUTIVE_FAILURES = 3;
+const DEFAULT_PAGE_SIZE = 48;
+
+export const API_ARG_OPTIONS = {
+  api: { type: 'string' },
+};
+
+export function learnEndpoint(matched, { store = null } = {}) {
+  if (!matched?.url || !matched.path) return null;
+  let url;
+  try {
+    url = new URL(matched.url);
+  } catch (error) {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+
+  const params = url.searchParams;
+  const pageParam = PAGE_PARAMS.find((name) => params.has(name)) ?? null;
+  const offsetParam = OFFSET_PARAMS.find((name) => params.has(name)) ?? null;
+  const pageSizeParam = PAGE_SIZE_PARAMS.find((name) => params.has(name)) ?? null;
+  const pageSize = Number.parseInt(params.get(pageSizeParam) ?? '', 10);
+  const storeId = store?.id != null ? String(store.id) : null;
+  const storeParams = storeId
+    ? [...params.keys()].filter((name) => params.get(name) === storeId)
+    : [];
+
+  let pageMode = 'none';
+  if (pageParam && /^\d+$/.test(params.get(pageParam))) {
+    pageMode = 'page';
+  } else if (offsetParam && /^\d+$/.test(params.get(offsetParam))) {
+    pageMode = 'offset';
+  }
+
+  return {
+    url: url.toString(),
+    itemsPath: matched.path,
+    pageMode,
+    pageParam: pageMode === 'page' ? pageParam : null,
+    offsetParam: pageMode === 'offset' ? offsetParam : null,
+    pageSizeParam,
+    pageSize: Number.isInteger(pageSize) ? pageSize : null,
+    storeParams,
+    learnedAt: new Date().toISOString(),
+    learnedFrom: store?.slug ?? null,
+  };
+}
+
+export function buildPageUrl(endpoint, pageIndex, store = null) {
+  const url = new URL(endpoint.url);
+  if (store?.id != null) {
+    for (const name of endpoint.storeParams ?? []) {
+      url.searchParams.set(name, String(store.id));
+    }
+  }
+  if (endpoint.pageMode === 'page') {
+    url.searchParams.set(endpoint.pageParam, String(pageIndex + 1));
+  } else if (endpoint.pageMode === 'offset') {
+    const pageSize = endpoint.pageSize ?? DEFAULT_PAGE_SIZE;
+    url.searchParams.set(endpoint.offsetParam, String(pageIndex * pageSize));
+  }
+  return url.toString();
+}
+
+function endpointKey(endpoint) {
+  if (!endpoint) return null;
+  return `${buildPageUrl(endpoint, 0, { id: '' })} ${endpoint.itemsPath}`;
+}
+
+function firstItemIdentity(items) {
+  return JSON.stringify(items[0] ?? null);
+}
+
+export async function fetchViaApi({
+  request,
+  endpoint,
+  store = null,
+  rateLimiter = null,
+  maxPages = 200,
+}) {
+  const items = [];
+  const pageUrls = [];
+  let reportedStoreId = null;
+  let previousIdentity = null;
+
+  for (let pageIndex = 0; pageIndex < maxPages; pageIndex += 1) {
+    const pageUrl = buildPageUrl(endpoint, pageIndex, store);
+    await rateLimiter?.wait(pageUrl);
+    const response = await request.get(pageUrl, {
+      headers: { accept: 'application/json' },
+      timeout: 30000,
+    });
+    if (!response.ok()) {
+      throw new Error(`API responded ${response.status()} for ${pageUrl}`);
+    }
+    const ct = (response.headers()['content-type'] || '').toLowerCase();
+    if (!ct.includes('json')) {
+      throw new Error(`API returned ${ct || 'no content-type'} for ${pageUrl}`);
+    }
+    const data = await response.json();
+    const pageItems = pickFirstValue(data, [endpoint.itemsPath]);
+    if (!Array.isArray(pageItems)) {
+      throw new Error(`API payload has no array at ${endpoint.itemsPath}`);
+    }
+    reportedStoreId ??= pickFirstValue(data, STORE_ID_PATHS);
+    pageUrls.push(pageUrl);
+
+    if (pageItems.length === 0) break;
+    const identity = firstItemIdentity(pageItems);
+    if (identity === previousIdentity) break;
+    previousIdentity = identity;
+    items.push(...pageItems);
+
+    if (endpoint.pageMode === 'none') break;
+    if (endpoint.pageSize && pageItems.length < endpoint.pageSize) break;
+  }
+
+  return {
+    items,
+    pages: pageUrls.length,
+    reportedStoreId: reportedStoreId != null ? String(reportedStoreId) : null,
+  };
+}
+
+export async function loadApiState(dataDir, mode = 'off') {
+  if (!['auto', 'off'].includes(mode)) {
+    throw new Error(`--api must be "auto" or "off", got "${mode}"`);
+  }
+  const filePath = path.join(dataDir, 'api_endpoint.json');
+  let endpoint = null;
+  if (mode !== 'off') {
+    try {
+      endpoint = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  let consecutiveFailures = 0;
+  let disabledReason = null;
+  let pending = Promise.resolve();
+  return {
+    mode,
+    filePath,
+    get endpoint() {
+      if (mode === 'off' || disabledReason) return null;
+      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) return null;
+      return endpoint;
+    },
+    disable(reason) {
+      if (disabledReason) return;
+      disabledReason = reason;
+      console.log(`[rona] api disabled for this run: ${reason}`);
+    },
+    recordSuccess() {
+      consecutiveFailures = 0;
+    },
+    recordFailure() {
+      consecutiveFailures += 1;
+      if (consecutiveFailures === MAX_CONSECUTIVE_FAILURES) {
+        console.log(
+          `[rona] api disabled after ${MAX_CONSECUTIVE_FAILURES} consecutive failures`
+        );
+      }
+    },
+    learn(next) {
+      if (mode === 'off' || !next) return pending;
+      if (endpointKey(endpoint) === endpointKey(next)) return pending;
+      endpoint = next;
+      consecutiveFailures = 0;
+      disabledReason = null;
+      console.log(
+        `[rona] api learned endpoint=${next.url} path=${next.itemsPath} pageMode=${next.pageMode}`
+      );
+      const snapshot = JSON.stringify(next, null, 2);
+      pending = pending
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.writeFile(filePath, snapshot, 'utf8');
+        });
+      return pending;
+    },
+  };
+}
+
+export function apiFromArgs(values, dataDir) {
+  return loadApiState(dataDir, values.api ?? 'off');
+}
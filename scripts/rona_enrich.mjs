@@ -0,0 +1,260 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { normalizeProductDetail } from './rona_parsing.mjs';
+
+const DETAIL_TIMEOUT = 30000;
+const DEFAULT_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_STOCK_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const STATIC_FIELDS = [
+  'sku',
+  'modelNumber',
+  'description',
+  'specs',
+  'images',
+  'brand',
+];
+
+export const ENRICH_ARG_OPTIONS = {
+  enrich: { type: 'boolean' },
+  'enrich-max': { type: 'string' },
+};
+
+export async function loadDetailCache(
+  filePath,
+  {
+    maxAgeMs = DEFAULT_CACHE_MAX_AGE_MS,
+    stockMaxAgeMs = DEFAULT_STOCK_MAX_AGE_MS,
+  } = {}
+) {
+  let entries = {};
+  let stock = {};
+  try {
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    entries = saved.entries ?? {};
+    stock = saved.stock ?? {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  let pending = Promise.resolve();
+  let dirty = false;
+  const stockKey = (url, storeKey) => `${storeKey} ${url}`;
+
+  return {
+    filePath,
+    get(url) {
+      const entry = entries[url];
+      if (!entry) return null;
+      if (Date.now() - Date.parse(entry.fetchedAt) > maxAgeMs) return null;
+      return entry.detail;
+    },
+    getStock(url, storeKey) {
+      const entry = stock[stockKey(url, storeKey)];
+      if (!entry) return null;
+      if (Date.now() - Date.parse(entry.checkedAt) > stockMaxAgeMs) {
+        return null;
+      }
+      return entry;
+    },
+    setStock(url, storeKey, detail) {
+      stock[stockKey(url, storeKey)] = {
+        checkedAt: new Date().toISOString(),
+        stockQuantity: detail.stockQuantity ?? null,
+        availability: detail.availability ?? null,
+      };
+      dirty = true;
+    },
+    set(url, detail) {
+      const cached = {};
+      for (const field of STATIC_FIELDS) {
+        cached[field] = detail[field] ?? null;
+      }
+      entries[url] = { fetchedAt: new Date().toISOString(), detail: cached };
+      dirty = true;
+    },
+    save() {
+      if (!dirty) return pending;
+      dirty = false;
+      const time = Date.now();
+      for (const [key, entry] of Object.entries(stock)) {
+        if (time - Date.parse(entry.checkedAt) > stockMaxAgeMs) {
+          delete stock[key];
+        }
+      }
+      const snapshot = JSON.stringify({ entries, stock }, null, 2);
+      pending = pending
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.writeFile(filePath, snapshot, 'utf8');
+        });
+      return pending;
+    },
+  };
+}
+
+export async function enrichFromArgs(values, dataDir) {
+  if (!values.enrich) return null;
+  const maxItems = Number.parseInt(values['enrich-max'] ?? '200', 10);
+  if (!Number.isInteger(maxItems) || maxItems < 1) {
+    throw new Error('--enrich-max must be a positive integer.');
+  }
+  return {
+    cache: await loadDetailCache(path.join(dataDir, 'product_details.json')),
+    maxItems,
+    stock: true,
+  };
+}
+
+async function readProductDetail(page) {
+  return page.evaluate(() => {
+    const text = (selector) =>
+      document.querySelector(selector)?.textContent?.trim() || '';
+    const jsonLd = [];
+    for (const script of document.querySelectorAll(
+      'script[type="application/ld+json"]'
+    )) {
+      try {
+        jsonLd.push(JSON.parse(script.textContent));
+      } catch (error) {
+        // ignore malformed JSON-LD blocks
+      }
+    }
+
+    const specs = [];
+    for (const row of document.querySelectorAll(
+      '[data-automation="specifications"] tr, .specifications tr, .product-specs tr'
+    )) {
+      const cells = row.querySelectorAll('th, td');
+      if (cells.length >= 2) {
+        specs.push([cells[0].textContent.trim(), cells[1].textContent.trim()]);
+      }
+    }
+    for (const term of document.querySelectorAll(
+      '.specifications dt, .product-specs dt'
+    )) {
+      const definition = term.nextElementSibling;
+      if (definition?.tagName === 'DD') {
+        specs.push([term.textContent.trim(), definition.textContent.trim()]);
+      }
+    }
+
+    const images = [
+      document.querySelector('meta[property="og:image"]')?.content,
+      ...Array.from(
+        document.querySelectorAll(
+          '[data-automation="product-gallery"] img, .product-gallery img'
+        )
+      ).map(
+        (img) =>
+          img.getAttribute('data-zoom-image') ||
+          img.getAttribute('data-src') ||
+          img.getAttribute('src')
+      ),
+    ].filter(Boolean);
+
+    return {
+      jsonLd,
+      specs,
+      images,
+      skuText: text(
+        '[data-automation="product-sku"], .product-sku, [itemprop="sku"]'
+      ),
+      modelText: text(
+        '[data-automation="product-model"], .product-model, [itemprop="mpn"]'
+      ),
+      description: text(
+        '[data-automation="product-description"], .product-description, [itemprop="description"]'
+      ),
+      stockText: text(
+        '[data-automation*="store-inventory"], .store-inventory, .inventory-count'
+      ),
+      availabilityText: text(
+        '[data-automation*="store-availability"], .store-availability'
+      ),
+    };
+  });
+}
+
+function mergeDetail(item, detail, storeDetail) {
+  if (!item.sku && detail.sku) item.sku = detail.sku;
+  item.modelNumber = detail.modelNumber ?? item.modelNumber ?? null;
+  item.description = detail.description ?? item.description ?? null;
+  item.specs = detail.specs ?? item.specs ?? {};
+  item.images = detail.images?.length ? detail.images : item.images ?? [];
+  if (item.images.length > 0) {
+    item.image = item.images[0];
+  }
+  item.brand = item.brand ?? detail.brand ?? null;
+  if (storeDetail) {
+    item.stockQuantity = storeDetail.stockQuantity ?? item.stockQuantity;
+    item.availability = storeDetail.availability ?? item.availability;
+  }
+  item.enrichedAt = new Date().toISOString();
+}
+
+export async function enrichProducts({
+  context,
+  items,
+  store = null,
+  cache = null,
+  rateLimiter = null,
+  stock = true,
+  maxItems = 200,
+}) {
+  const stats = {
+    candidates: items.length,
+    visited: 0,
+    cacheHits: 0,
+    failed: 0,
+  };
+  const storeKey = store?.id ?? store?.slug ?? null;
+  const page = await context.newPage();
+  page.setDefaultTimeout(DETAIL_TIMEOUT);
+  try {
+    for (const item of items.slice(0, maxItems)) {
+      if (!item.url) continue;
+      const cached = cache?.get(item.url) ?? null;
+      const checkStock = stock && item.stockQuantity == null;
+      const cachedStock =
+        checkStock && storeKey != null
+          ? cache?.getStock(item.url, storeKey) ?? null
+          : null;
+      const needsVisit = !cached || (checkStock && !cachedStock);
+      if (!needsVisit) {
+        mergeDetail(item, cached, cachedStock);
+        stats.cacheHits += 1;
+        continue;
+      }
+
+      try {
+        await rateLimiter?.wait(item.url);
+        await page.goto(item.url, { waitUntil: 'domcontentloaded' });
+        const detail = normalizeProductDetail(
+          await readProductDetail(page),
+          item.url
+        );
+        cache?.set(item.url, detail);
+        if (stock && storeKey != null) {
+          cache?.setStock(item.url, storeKey, detail);
+        }
+        mergeDetail(item, detail, stock ? detail : null);
+        stats.visited += 1;
+      } catch (error) {
+        stats.failed += 1;
+        console.log(
+          `[rona] enrich failed url=${item.url} error="${error.message}"`
+        );
+        if (cached) {
+          mergeDetail(item, cached, null);
+        }
+      }
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+  await cache?.save();
+  console.log(
+    `[rona] enrich candidates=${stats.candidates} visited=${stats.visited} cacheHits=${stats.cacheHits} failed=${stats.failed}`
+  );
+  return stats;
+}
@@ -0,0 +1,138 @@
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+export const DEFAULT_FILTER = {
+  minDiscountPct: 50,
+  minSavings: null,
+  maxSalePrice: null,
+  include: [],
+  exclude: [],
+};
+
+export const FILTER_ARG_OPTIONS = {
+  'filter-config': { type: 'string' },
+  'min-discount': { type: 'string' },
+  'min-savings': { type: 'string' },
+  'max-price': { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'save-all': { type: 'boolean' },
+};
+
+function toNumberOrNull(value, label) {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`${label} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+function toKeywordList(value) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function normalizeFilter(spec = {}) {
+  return {
+    minDiscountPct: toNumberOrNull(
+      'minDiscountPct' in spec
+        ? spec.minDiscountPct
+        : DEFAULT_FILTER.minDiscountPct,
+      'minDiscountPct'
+    ),
+    minSavings: toNumberOrNull(spec.minSavings, 'minSavings'),
+    maxSalePrice: toNumberOrNull(spec.maxSalePrice, 'maxSalePrice'),
+    include: toKeywordList(spec.include),
+    exclude: toKeywordList(spec.exclude),
+  };
+}
+
+function searchableText(item) {
+  return [
+    item.name,
+    item.name_fr,
+    item.name_en,
+    item.category,
+    item.department,
+    item.brand,
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+export function matchesFilter(item, filter = DEFAULT_FILTER) {
+  if (filter.minDiscountPct != null) {
+    if (item.discountPct == null || item.discountPct < filter.minDiscountPct) {
+      return false;
+    }
+  }
+  if (filter.minSavings != null) {
+    if (
+      !Number.isFinite(item.regularPrice) ||
+      !Number.isFinite(item.salePrice) ||
+      item.regularPrice - item.salePrice < filter.minSavings
+    ) {
+      return false;
+    }
+  }
+  if (filter.maxSalePrice != null) {
+    if (!Number.isFinite(item.salePrice) || item.salePrice > filter.maxSalePrice) {
+      return false;
+    }
+  }
+  if (filter.include.length || filter.exclude.length) {
+    const text = searchableText(item);
+    if (
+      filter.include.length &&
+      !filter.include.some((keyword) => text.includes(keyword))
+    ) {
+      return false;
+    }
+    if (filter.exclude.some((keyword) => text.includes(keyword))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+export function applyFilter(items, filter = DEFAULT_FILTER) {
+  return items.filter((item) => matchesFilter(item, filter));
+}
+
+export async function filterFromArgs(values) {
+  let spec = {};
+  if (values['filter-config']) {
+    spec = JSON.parse(await fs.readFile(values['filter-config'], 'utf8'));
+  }
+  const overrides = {
+    minDiscountPct: values['min-discount'],
+    minSavings: values['min-savings'],
+    maxSalePrice: values['max-price'],
+    include: values.include,
+    exclude: values.exclude,
+  };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) spec[key] = value;
+  }
+  return normalizeFilter(spec);
+}
+
+export async function parseFilterArgs(args, extraOptions = {}) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: { ...FILTER_ARG_OPTIONS, ...extraOptions },
+    allowPositionals: true,
+  });
+  return {
+    filter: await filterFromArgs(values),
+    saveAll: Boolean(values['save-all']),
+    positionals,
+    values,
+  };
+}
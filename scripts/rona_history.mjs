@@ -0,0 +1,173 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const MAX_RUNS = 90;
+
+export function itemKey(item) {
+  if (item?.sku) return `sku:${item.sku}`;
+  return `url:${item?.url ?? ''}`;
+}
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function pricePoint(item, at) {
+  return {
+    at,
+    regularPrice: item.regularPrice ?? null,
+    salePrice: item.salePrice ?? null,
+    discountPct: item.discountPct ?? null,
+  };
+}
+
+function samePrice(a, b) {
+  return a.regularPrice === b.regularPrice && a.salePrice === b.salePrice;
+}
+
+export function sameFilter(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+export function applyRun(
+  history,
+  { store, items, scrapedAt, filter = null }
+) {
+  const next = history ?? { store: null, runs: [], items: {} };
+  next.store = { slug: store.slug, name: store.name, id: store.id ?? null };
+  const previousRun = next.runs.at(-1) ?? null;
+  const previousRunAt = previousRun?.scrapedAt ?? null;
+  const filterChanged = Boolean(
+    previousRun &&
+      'filter' in previousRun &&
+      !sameFilter(previousRun.filter, filter)
+  );
+
+  const changes = {
+    store: next.store,
+    scrapedAt,
+    previousRunAt,
+    filterChanged,
+    newItems: [],
+    priceDrops: [],
+    disappeared: [],
+  };
+
+  const entriesByUrl = new Map(
+    Object.values(next.items).map((entry) => [entry.url, entry])
+  );
+  const seenKeys = new Set();
+  for (const item of items) {
+    const key = itemKey(item);
+    if (seenKeys.has(key)) continue;
+    seenKeys.add(key);
+
+    const point = pricePoint(item, scrapedAt);
+    let entry = next.items[key];
+    const sameUrl = entriesByUrl.get(item.url);
+    if (!entry && sameUrl && !seenKeys.has(sameUrl.key)) {
+      // The SKU appeared (or vanished) since the last run: keep the history.
+      delete next.items[sameUrl.key];
+      sameUrl.key = key;
+      sameUrl.sku = item.sku || '';
+      next.items[key] = sameUrl;
+      entry = sameUrl;
+    }
+    if (!entry) {
+      next.items[key] = {
+        key,
+        sku: item.sku || '',
+        url: item.url,
+        name: item.name,
+        firstSeen: scrapedAt,
+        lastSeen: scrapedAt,
+        active: true,
+        prices: [point],
+      };
+      if (!filterChanged) changes.newItems.push(item);
+      continue;
+    }
+
+    const lastPoint = entry.prices.at(-1);
+    const wasActive = entry.active;
+    entry.name = item.name;
+    entry.url = item.url;
+    entry.lastSeen = scrapedAt;
+    entry.active = true;
+    delete entry.disappearedAt;
+    if (!lastPoint || !samePrice(lastPoint, point)) {
+      entry.prices.push(point);
+    }
+
+    if (!wasActive) {
+      if (!filterChanged) changes.newItems.push({ ...item, reappeared: true });
+    } else if (
+      Number.isFinite(lastPoint?.salePrice) &&
+      Number.isFinite(item.salePrice) &&
+      item.salePrice < lastPoint.salePrice
+    ) {
+      changes.priceDrops.push({
+        ...item,
+        previousSalePrice: lastPoint.salePrice,
+        previousDiscountPct: lastPoint.discountPct,
+        dropAmount: Number((lastPoint.salePrice - item.salePrice).toFixed(2)),
+      });
+    }
+  }
+
+  for (const entry of Object.values(next.items)) {
+    if (!entry.active || seenKeys.has(entry.key)) continue;
+    entry.active = false;
+    entry.disappearedAt = scrapedAt;
+    if (filterChanged) continue;
+    const lastPoint = entry.prices.at(-1);
+    changes.disappeared.push({
+      name: entry.name,
+      url: entry.url,
+      sku: entry.sku,
+      lastSalePrice: lastPoint?.salePrice ?? null,
+      lastDiscountPct: lastPoint?.discountPct ?? null,
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+    });
+  }
+
+  next.runs.push({ scrapedAt, count: seenKeys.size, filter });
+  if (next.runs.length > MAX_RUNS) {
+    next.runs = next.runs.slice(-MAX_RUNS);
+  }
+  next.updatedAt = scrapedAt;
+
+  return { history: next, changes };
+}
+
+export async function updateHistory({
+  baseDir,
+  store,
+  items,
+  scrapedAt,
+  filter = null,
+}) {
+  const historyPath = path.join(baseDir, 'history.json');
+  const changesPath = path.join(baseDir, 'changes.json');
+  const previous = await readJsonIfExists(historyPath);
+  const { history, changes } = applyRun(previous, {
+    store,
+    items,
+    scrapedAt,
+    filter,
+  });
+
+  await fs.mkdir(baseDir, { recursive: true });
+  await fs.writeFile(historyPath, JSON.stringify(history, null, 2), 'utf8');
+  await fs.writeFile(changesPath, JSON.stringify(changes, null, 2), 'utf8');
+  console.log(
+    `[rona] history store=${store.slug} new=${changes.newItems.length} drops=${changes.priceDrops.length} gone=${changes.disappeared.length}${changes.filterChanged ? ' filter-changed' : ''}`
+  );
+  return changes;
+}
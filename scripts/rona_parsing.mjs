@@ -0,0 +1,688 @@
+import { DEFAULT_FILTER, applyFilter } from './rona_filters.mjs';
+
+export const SCHEMA_VERSION = 8;
+
+export const ITEM_FIELDS = [
+  'name',
+  'url',
+  'image',
+  'sku',
+  'regularPrice',
+  'salePrice',
+  'discountPct',
+  'availability',
+  'stockQuantity',
+  'aisle',
+  'bay',
+  'category',
+  'department',
+  'brand',
+  'unitOfMeasure',
+  'promoEndDate',
+];
+
+export const ENRICHED_FIELDS = [
+  'modelNumber',
+  'description',
+  'specs',
+  'images',
+  'enrichedAt',
+];
+
+const FRENCH_MONTHS = {
+  janvier: 1,
+  fevrier: 2,
+  mars: 3,
+  avril: 4,
+  mai: 5,
+  juin: 6,
+  juillet: 7,
+  aout: 8,
+  septembre: 9,
+  octobre: 10,
+  novembre: 11,
+  decembre: 12,
+};
+
+const ENGLISH_MONTHS = {
+  january: 1,
+  february: 2,
+  march: 3,
+  april: 4,
+  may: 5,
+  june: 6,
+  july: 7,
+  august: 8,
+  september: 9,
+  october: 10,
+  november: 11,
+  december: 12,
+};
+
+export function guessPriceLocale(text) {
+  const value = String(text ?? '');
+  const dollarFirst = /\$\s*\d/.test(value);
+  const dollarLast = /\d\s*\$(?!\s*\d)/.test(value);
+  if (dollarFirst && !dollarLast) return 'en';
+  if (dollarLast && !dollarFirst) return 'fr';
+  return null;
+}
+
+function priceLanguage(locale) {
+  return locale ? String(locale).slice(0, 2).toLowerCase() : null;
+}
+
+export function parsePrice(raw, locale = null) {
+  if (raw == null || raw === '') return null;
+  const text = String(raw);
+  const language = priceLanguage(locale ?? guessPriceLocale(text));
+  let cleaned = text.replace(/[^0-9.,]/g, '');
+  if (!cleaned) return null;
+  if (cleaned.includes(',') && cleaned.includes('.')) {
+    if (cleaned.lastIndexOf('.') > cleaned.lastIndexOf(',')) {
+      cleaned = cleaned.replace(/,/g, '');
+    } else {
+      cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+    }
+  } else if (cleaned.includes(',')) {
+    cleaned =
+      language === 'en' && /^\d{1,3}(?:,\d{3})+$/.test(cleaned)
+        ? cleaned.replace(/,/g, '')
+        : cleaned.replace(',', '.');
+  }
+  const value = Number.parseFloat(cleaned);
+  return Number.isFinite(value) ? value : null;
+}
+
+export function extractPricesFromText(text, locale = null) {
+  if (!text) return [];
+  const language = locale ?? guessPriceLocale(text);
+  const matches =
+    text.match(
+      /\d{1,3}(?:[ \u00a0\u2009\u202f]\d{3})+(?:[.,]\d{2}(?!\d)|(?=\s*\$))|\d+[\d.,]*/g
+    ) || [];
+  return matches
+    .map((match) => parsePrice(match, language))
+    .filter((value) => Number.isFinite(value));
+}
+
+export function computeDiscountPct(regularPrice, salePrice) {
+  if (!regularPrice || !salePrice) return null;
+  if (regularPrice <= 0 || salePrice <= 0) return null;
+  if (salePrice >= regularPrice) return null;
+  return Math.round(((regularPrice - salePrice) / regularPrice) * 100);
+}
+
+function toText(value) {
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return null;
+}
+
+function foldAccents(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export function normalizeAvailability(raw, quantity = null) {
+  const text = foldAccents(String(raw ?? ''))
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ');
+  if (
+    /rupture|out of stock|outofstock|non disponible|unavailable|epuise/.test(
+      text
+    )
+  ) {
+    return 'out-of-stock';
+  }
+  if (/limite|limited|low stock|faible|quelques|few left/.test(text)) {
+    return 'limited';
+  }
+  if (/en ligne seulement|online only|onlineonly/.test(text)) {
+    return 'online-only';
+  }
+  if (/en stock|in stock|instock|disponible|available/.test(text)) {
+    return 'in-stock';
+  }
+  if (Number.isFinite(quantity)) {
+    return quantity > 0 ? 'in-stock' : 'out-of-stock';
+  }
+  return null;
+}
+
+export function parseStockQuantity(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  const text = String(raw ?? '');
+  const match =
+    foldAccents(text).match(
+      /(\d+)\s*(?:\+\s*)?(?:en stock|in stock|disponibles?|available|unites?|units?)/i
+    ) || text.match(/^\s*(\d+)\s*$/);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+export function parseAisleBay(raw) {
+  const text = foldAccents(String(raw ?? ''));
+  const aisle = text.match(/(?:allee|aisle)\s*[:#]?\s*([a-z0-9-]+)/i);
+  const bay = text.match(/(?:section|baie|bay)\s*[:#]?\s*([a-z0-9-]+)/i);
+  return {
+    aisle: aisle ? aisle[1] : null,
+    bay: bay ? bay[1] : null,
+  };
+}
+
+export function parseUnitOfMeasure(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return null;
+  const match = text.match(/(?:\/|par\s+|per\s+)\s*([^\d\s$|][^|]*)/i);
+  return match ? match[1].trim().replace(/[.)]+$/, '') : null;
+}
+
+function isoDate(year, month, day) {
+  if (!year || !month || !day) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+export function parsePromoEndDate(raw) {
+  const text = foldAccents(String(raw ?? '')).toLowerCase();
+  if (!text.trim()) return null;
+
+  const iso = text.match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (iso) {
+    return isoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const french = text.match(/(\d{1,2})(?:er)?\s+([a-z]+)\.?\s+(\d{4})/);
+  if (french && FRENCH_MONTHS[french[2]]) {
+    return isoDate(
+      Number(french[3]),
+      FRENCH_MONTHS[french[2]],
+      Number(french[1])
+    );
+  }
+
+  const english = text.match(
+    /([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/
+  );
+  if (english && ENGLISH_MONTHS[english[1]]) {
+    return isoDate(
+      Number(english[3]),
+      ENGLISH_MONTHS[english[1]],
+      Number(english[2])
+    );
+  }
+  return null;
+}
+
+export function collectCandidateArrays(data) {
+  const candidates = [];
+  const visit = (value, pathKey) => {
+    if (!value) return;
+    if (Array.isArray(value) && value.length > 0) {
+      if (value.every((item) => item && typeof item === 'object')) {
+        candidates.push({ path: pathKey, items: value });
+      }
+    } else if (typeof value === 'object') {
+      for (const [key, nested] of Object.entries(value)) {
+        visit(nested, pathKey ? `${pathKey}.${key}` : key);
+      }
+    }
+  };
+  visit(data, '');
+  return candidates;
+}
+
+export function extractNumber(value) {
+  if (value == null) return null;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return parsePrice(value);
+  }
+  return null;
+}
+
+export function pickFirstValue(item, keys) {
+  for (const key of keys) {
+    const parts = key.split('.');
+    let current = item;
+    let found = true;
+    for (const part of parts) {
+      if (!current || typeof current !== 'object' || !(part in current)) {
+        found = false;
+        break;
+      }
+      current = current[part];
+    }
+    if (found && current != null) {
+      return current;
+    }
+  }
+  return null;
+}
+
+export function normalizeCapturedProducts(items, baseUrl) {
+  const normalized = [];
+  const seen = new Set();
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+
+    const name = pickFirstValue(item, [
+      'name',
+      'productName',
+      'title',
+      'shortDescription',
+      'description',
+      'label',
+    ]);
+
+    const urlValue = pickFirstValue(item, [
+      'url',
+      'pdpUrl',
+      'productUrl',
+      'seoUrl',
+      'link',
+      'href',
+      'attributes.webPath',
+    ]);
+
+    const imageValue = pickFirstValue(item, [
+      'image',
+      'imageUrl',
+      'thumbnail',
+      'thumbnailUrl',
+      'primaryImage',
+      'images.0.url',
+      'images.0',
+      'image.url',
+    ]);
+
+    const sku =
+      pickFirstValue(item, ['sku', 'productId', 'id', 'code']) ??
+      '';
+
+    const regularPriceRaw = pickFirstValue(item, [
+      'regularPrice',
+      'listPrice',
+      'originalPrice',
+      'wasPrice',
+      'basePrice',
+      'price.regular',
+      'price.original',
+      'price.list',
+      'price.value',
+    ]);
+    const salePriceRaw = pickFirstValue(item, [
+      'salePrice',
+      'offerPrice',
+      'currentPrice',
+      'specialPrice',
+      'price.sale',
+      'price.current',
+      'price.now',
+    ]);
+
+    const regularPrice =
+      extractNumber(regularPriceRaw) ??
+      extractNumber(pickFirstValue(item, ['price', 'prices', 'priceText']));
+    const salePrice = extractNumber(salePriceRaw);
+
+    const discountPct = computeDiscountPct(regularPrice, salePrice);
+
+    const stockQuantity = parseStockQuantity(
+      pickFirstValue(item, [
+        'stockQuantity',
+        'inventoryQuantity',
+        'availableQuantity',
+        'inventory.quantity',
+        'storeAvailability.quantity',
+        'storeInventory',
+      ])
+    );
+    const availabilityRaw = pickFirstValue(item, [
+      'availability',
+      'availabilityStatus',
+      'inventoryStatus',
+      'stockStatus',
+      'inventory.status',
+      'storeAvailability.status',
+    ]);
+    const location = parseAisleBay(
+      toText(pickFirstValue(item, ['location', 'storeLocation'])) ?? ''
+    );
+    const aisle =
+      toText(
+        pickFirstValue(item, ['aisle', 'location.aisle', 'storeLocation.aisle'])
+      ) ?? location.aisle;
+    const bay =
+      toText(
+        pickFirstValue(item, [
+          'bay',
+          'section',
+          'location.bay',
+          'storeLocation.bay',
+        ])
+      ) ?? location.bay;
+    const unitRaw = pickFirstValue(item, [
+      'unitOfMeasure',
+      'uom',
+      'sellingUnit',
+      'price.unit',
+    ]);
+    const promoEndRaw = pickFirstValue(item, [
+      'promoEndDate',
+      'promotionEndDate',
+      'offerEndDate',
+      'price.endDate',
+      'endDate',
+    ]);
+
+    const resolvedUrl = urlValue
+      ? new URL(String(urlValue), baseUrl).toString()
+      : '';
+    if (!name || !resolvedUrl) continue;
+
+    if (seen.has(resolvedUrl)) continue;
+    seen.add(resolvedUrl);
+
+    normalized.push({
+      name: String(name),
+      url: resolvedUrl,
+      image: imageValue ? String(imageValue) : '',
+      sku: sku ? String(sku) : '',
+      regularPrice,
+      salePrice,
+      discountPct,
+      availability: normalizeAvailability(availabilityRaw, stockQuantity),
+      stockQuantity,
+      aisle,
+      bay,
+      category: toText(
+        pickFirstValue(item, [
+          'category',
+          'categoryName',
+          'categories.0.name',
+          'categories.0',
+          'parentCategory',
+        ])
+      ),
+      department: toText(
+        pickFirstValue(item, ['department', 'departmentName'])
+      ),
+      brand: toText(
+        pickFirstValue(item, [
+          'brand.name',
+          'brand',
+          'brandName',
+          'manufacturer',
+        ])
+      ),
+      unitOfMeasure: toText(unitRaw),
+      promoEndDate: parsePromoEndDate(toText(promoEndRaw)),
+    });
+  }
+  return normalized;
+}
+
+export function extractProductsFromCaptured(
+  captured,
+  baseUrl,
+  filter = DEFAULT_FILTER
+) {
+  const priorityKeys = [
+    'CatalogEntryView',
+    'catalogEntryView',
+    'products',
+    'items',
+    'results',
+    'searchResults',
+    'entries',
+  ];
+  let bestMatch = null;
+  for (const entry of captured) {
+    if (!entry?.data) continue;
+    for (const key of priorityKeys) {
+      if (Array.isArray(entry.data[key])) {
+        const items = entry.data[key];
+        if (!bestMatch || items.length > bestMatch.items.length) {
+          bestMatch = { url: entry.url, path: key, items };
+        }
+      }
+    }
+    if (!bestMatch) {
+      const candidates = collectCandidateArrays(entry.data);
+      for (const candidate of candidates) {
+        if (!bestMatch || candidate.items.length > bestMatch.items.length) {
+          bestMatch = { url: entry.url, path: candidate.path, items: candidate.items };
+        }
+      }
+    }
+  }
+
+  if (!bestMatch) {
+    return { products: [], allProducts: [], matched: null };
+  }
+
+  const normalized = normalizeCapturedProducts(bestMatch.items, baseUrl);
+  return {
+    products: applyFilter(normalized, filter),
+    allProducts: normalized,
+    matched: bestMatch,
+  };
+}
+
+export function normalizeTiles(tileData, baseUrl, { locale = null } = {}) {
+  const normalized = [];
+  const seen = new Set();
+  let parsedCount = 0;
+
+  for (const item of tileData) {
+    const priceCandidates = extractPricesFromText(
+      item.regularPriceText,
+      locale
+    );
+    const saleCandidates = extractPricesFromText(item.salePriceText, locale);
+
+    let regularPrice = priceCandidates[0] ?? null;
+    let salePrice = saleCandidates[0] ?? null;
+
+    if (!salePrice && priceCandidates.length >= 2) {
+      regularPrice = Math.max(...priceCandidates);
+      salePrice = Math.min(...priceCandidates);
+    }
+
+    if (!regularPrice && saleCandidates.length >= 1) {
+      regularPrice = saleCandidates[0];
+    }
+
+    if (item.name && Number.isFinite(salePrice)) {
+      parsedCount += 1;
+    }
+
+    const discountPct = computeDiscountPct(regularPrice, salePrice);
+    const stockQuantity = parseStockQuantity(
+      item.stockText || item.availabilityText
+    );
+    const location = parseAisleBay(item.locationText);
+
+    const url = item.url
+      ? new URL(item.url, baseUrl).toString()
+      : '';
+
+    if (!item.name || !url) {
+      continue;
+    }
+
+    if (seen.has(url)) {
+      continue;
+    }
+
+    seen.add(url);
+
+    normalized.push({
+      name: item.name,
+      url,
+      image: item.image,
+      sku: item.sku,
+      regularPrice,
+      salePrice,
+      discountPct,
+      availability: normalizeAvailability(item.availabilityText, stockQuantity),
+      stockQuantity,
+      aisle: location.aisle,
+      bay: location.bay,
+      category: item.category || null,
+      department: item.department || null,
+      brand: item.brand || null,
+      unitOfMeasure: parseUnitOfMeasure(item.unitText),
+      promoEndDate: parsePromoEndDate(item.promoEndText),
+    });
+  }
+
+  return { products: normalized, parsedCount };
+}
+
+function findJsonLdProduct(nodes) {
+  const queue = [...(Array.isArray(nodes) ? nodes : [nodes])];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+    if (Array.isArray(node)) {
+      queue.push(...node);
+      continue;
+    }
+    const types = [].concat(node['@type'] ?? []);
+    if (types.includes('Product')) return node;
+    if (node['@graph']) queue.push(node['@graph']);
+  }
+  return null;
+}
+
+function collectImageUrls(value) {
+  return []
+    .concat(value ?? [])
+    .map((entry) => (typeof entry === 'string' ? entry : entry?.url))
+    .filter((entry) => typeof entry === 'string' && entry);
+}
+
+export function normalizeProductDetail(raw, baseUrl) {
+  const product = findJsonLdProduct(raw?.jsonLd ?? []) ?? {};
+  const offers = [].concat(product.offers ?? [])[0] ?? {};
+
+  const specs = {};
+  for (const property of [].concat(product.additionalProperty ?? [])) {
+    const key = toText(property?.name);
+    const value = toText(property?.value);
+    if (key && value) specs[key] = value;
+  }
+  for (const [key, value] of raw?.specs ?? []) {
+    const cleanKey = toText(key)?.replace(/\s*:$/, '');
+    const cleanValue = toText(value);
+    if (cleanKey && cleanValue && !(cleanKey in specs)) {
+      specs[cleanKey] = cleanValue;
+    }
+  }
+
+  const images = [
+    ...new Set(
+      [...collectImageUrls(product.image), ...collectImageUrls(raw?.images)].map(
+        (url) => new URL(url, baseUrl).toString()
+      )
+    ),
+  ];
+
+  const stockQuantity =
+    parseStockQuantity(offers.inventoryLevel?.value ?? null) ??
+    parseStockQuantity(raw?.stockText);
+  const skuText = toText(raw?.skuText)?.replace(/^\D+/, '') || null;
+  const modelText =
+    toText(raw?.modelText)?.replace(/^(?:mod[eè]le|model)\s*[#:]?\s*/i, '') ||
+    null;
+
+  return {
+    sku: toText(product.sku) ?? skuText,
+    modelNumber: toText(product.mpn) ?? toText(product.model) ?? modelText,
+    description:
+      toText(product.description) ?? toText(raw?.description) ?? null,
+    specs,
+    images,
+    brand: toText(product.brand?.name) ?? toText(product.brand) ?? null,
+    availability: normalizeAvailability(
+      raw?.availabilityText || offers.availability,
+      stockQuantity
+    ),
+    stockQuantity,
+  };
+}
+
+const CSV_COLUMNS = [
+  'name',
+  'name_fr',
+  'name_en',
+  'image',
+  'regularPrice',
+  'salePrice',
+  'discountPct',
+  'url',
+  'sku',
+  'modelNumber',
+  'brand',
+  'category',
+  'department',
+  'availability',
+  'stockQuantity',
+  'aisle',
+  'bay',
+  'unitOfMeasure',
+  'promoEndDate',
+];
+
+export function localizeNames(items, language, translations = {}) {
+  const lookups = Object.entries(translations).map(([lang, localized]) => [
+    lang,
+    new Map(
+      localized
+        .filter((item) => item.sku && item.name)
+        .map((item) => [String(item.sku), item.name])
+    ),
+  ]);
+  const matched = Object.fromEntries(lookups.map(([lang]) => [lang, 0]));
+  const localizedItems = items.map((item) => {
+    const next = { ...item, [`name_${language}`]: item.name };
+    for (const [lang, names] of lookups) {
+      const name = item.sku ? names.get(String(item.sku)) : undefined;
+      if (name) matched[lang] += 1;
+      next[`name_${lang}`] = name ?? null;
+    }
+    return next;
+  });
+  return { items: localizedItems, matched };
+}
+
+const NUMERIC_CSV_COLUMNS = new Set([
+  'regularPrice',
+  'salePrice',
+  'discountPct',
+  'stockQuantity',
+]);
+
+export function toCsv(rows) {
+  const header = CSV_COLUMNS.join(',');
+  if (!rows?.length) {
+    return `${header}\n`;
+  }
+  const esc = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = rows.map((row) =>
+    CSV_COLUMNS.map((column) =>
+      NUMERIC_CSV_COLUMNS.has(column) ? row[column] ?? '' : esc(row[column])
+    ).join(',')
+  );
+  return [header, ...lines].join('\n') + '\n';
+}
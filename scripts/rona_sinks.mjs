@@ -0,0 +1,113 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const WEBHOOK_TIMEOUT = 10000;
+
+function formatPrice(value) {
+  return Number.isFinite(value) ? `${value.toFixed(2)} $` : '?';
+}
+
+export function formatMessageText(message) {
+  const lines = [
+    `${message.items.length} RONA clearance alert(s) for ${message.subscriber}`,
+    '',
+  ];
+  for (const item of message.items) {
+    const label = item.event === 'price-drop' ? 'Price drop' : 'New';
+    const previous =
+      item.event === 'price-drop'
+        ? ` (was ${formatPrice(item.previousSalePrice)})`
+        : '';
+    lines.push(
+      `[${label}] ${item.name} - ${formatPrice(item.salePrice)}${previous}, -${item.discountPct ?? '?'}% at ${item.store.name}`,
+      `  ${item.url}`
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+function createWebhookSink(config) {
+  if (!config.url) throw new Error('webhook sink requires "url".');
+  return {
+    type: 'webhook',
+    async send(message) {
+      const response = await fetch(config.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...config.headers },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(config.timeoutMs ?? WEBHOOK_TIMEOUT),
+      });
+      if (!response.ok) {
+        throw new Error(`webhook responded ${response.status}`);
+      }
+    },
+  };
+}
+
+function createEmailSink(config) {
+  if (!config.to || !config.smtp?.host) {
+    throw new Error('email sink requires "to" and "smtp.host".');
+  }
+  return {
+    type: 'email',
+    async send(message) {
+      const { default: nodemailer } = await import('nodemailer');
+      const { user, pass, ...smtp } = config.smtp;
+      const transport = nodemailer.createTransport({
+        ...smtp,
+        auth: user ? { user, pass } : undefined,
+      });
+      try {
+        await transport.sendMail({
+          from: config.from ?? user,
+          to: config.to,
+          subject:
+            config.subject ??
+            `RONA clearance: ${message.items.length} alert(s) for ${message.subscriber}`,
+          text: formatMessageText(message),
+        });
+      } finally {
+        transport.close();
+      }
+    },
+  };
+}
+
+function createFileSink(config) {
+  if (!config.path) throw new Error('file sink requires "path".');
+  return {
+    type: 'file',
+    async send(message) {
+      await fs.mkdir(path.dirname(config.path), { recursive: true });
+      await fs.appendFile(config.path, `${JSON.stringify(message)}\n`, 'utf8');
+    },
+  };
+}
+
+function createStdoutSink() {
+  return {
+    type: 'stdout',
+    async send(message) {
+      process.stdout.write(formatMessageText(message));
+    },
+  };
+}
+
+const SINK_FACTORIES = new Map([
+  ['webhook', createWebhookSink],
+  ['email', createEmailSink],
+  ['file', createFileSink],
+  ['stdout', createStdoutSink],
+]);
+
+export function registerSink(type, factory) {
+  SINK_FACTORIES.set(type, factory);
+}
+
+export function createSink(config) {
+  const factory = SINK_FACTORIES.get(config?.type);
+  if (!factory) {
+    throw new Error(`Unknown notification sink type "${config?.type}".`);
+  }
+  return factory(config);
+}
@@ -0,0 +1,386 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { collectCandidateArrays, pickFirstValue } from './rona_parsing.mjs';
+
+export const STORES_PATH = 'stores.json';
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+const GEOCODE_URL = 'https://nominatim.openstreetmap.org/search';
+const POSTAL_CODE_RE = /^([a-z]\d[a-z])\s*-?\s*(\d[a-z]\d)$/i;
+
+export const STORE_SELECT_ARG_OPTIONS = {
+  near: { type: 'string' },
+  radius: { type: 'string' },
+  region: { type: 'string' },
+  banner: { type: 'string' },
+};
+
+export async function loadStores(storesPath = STORES_PATH) {
+  return JSON.parse(await fs.readFile(storesPath, 'utf-8'));
+}
+
+function foldText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+]+/g, ' ')
+    .trim();
+}
+
+export function normalizePostalCode(value) {
+  const match = String(value ?? '').trim().match(POSTAL_CODE_RE);
+  if (!match) return null;
+  return `${match[1]} ${match[2]}`.toUpperCase();
+}
+
+export function detectBanner(name, rawBanner = null) {
+  const text = foldText(`${rawBanner ?? ''} ${name ?? ''}`);
+  if (/reno depot/.test(text)) return 'Réno-Dépôt';
+  if (/rona\s*(\+|plus)/.test(text)) return 'RONA+';
+  if (/dick s lumber/.test(text)) return "Dick's Lumber";
+  return 'RONA';
+}
+
+export function haversineKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+export function parseRadius(value) {
+  if (value == null || value === '') return null;
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(km|mi)?$/);
+  if (!match) {
+    throw new Error(`--radius must look like "50km" or "30mi", got "${value}"`);
+  }
+  const amount = Number(match[1]);
+  return match[2] === 'mi' ? amount * KM_PER_MILE : amount;
+}
+
+function toCoordinate(value) {
+  const number = Number(value);
+  return value != null && value !== '' && Number.isFinite(number)
+    ? number
+    : null;
+}
+
+function hasCoordinates(store) {
+  return Number.isFinite(store?.lat) && Number.isFinite(store?.lng);
+}
+
+export function normalizeStoreLocation(raw) {
+  const id = pickFirstValue(raw, [
+    'storeNumber',
+    'storeId',
+    'id',
+    'uniqueID',
+    'identifier',
+  ]);
+  const name = pickFirstValue(raw, ['storeName', 'name', 'displayName']);
+  const address = pickFirstValue(raw, [
+    'address.line1',
+    'address.addressLine1',
+    'address.street',
+    'addressLine.0',
+    'addressLine1',
+    'address1',
+    'streetAddress',
+    'address',
+  ]);
+  const lat = toCoordinate(
+    pickFirstValue(raw, [
+      'latitude',
+      'lat',
+      'geo.latitude',
+      'coordinates.latitude',
+      'location.lat',
+      'geoCode.latitude',
+    ])
+  );
+  const lng = toCoordinate(
+    pickFirstValue(raw, [
+      'longitude',
+      'lng',
+      'lon',
+      'geo.longitude',
+      'coordinates.longitude',
+      'location.lng',
+      'geoCode.longitude',
+    ])
+  );
+  const rawBanner = pickFirstValue(raw, ['banner', 'brand', 'storeBrand']);
+  return {
+    id: id != null ? Number.parseInt(String(id), 10) || String(id) : null,
+    name: name ?? null,
+    address: typeof address === 'string' ? address.trim() : null,
+    city: pickFirstValue(raw, ['address.city', 'city', 'locality']) ?? null,
+    province:
+      pickFirstValue(raw, [
+        'address.province',
+        'address.stateOrProvinceName',
+        'province',
+        'stateOrProvinceName',
+        'state',
+      ]) ?? null,
+    postalCode: normalizePostalCode(
+      pickFirstValue(raw, [
+        'address.postalCode',
+        'address.zipCode',
+        'postalCode',
+        'zipCode',
+        'postal',
+      ])
+    ),
+    lat,
+    lng,
+    region: pickFirstValue(raw, ['region', 'address.region']) ?? null,
+    banner: detectBanner(name, rawBanner),
+  };
+}
+
+export function extractStoreLocations(payload) {
+  const locations = [];
+  for (const candidate of collectCandidateArrays(payload)) {
+    for (const raw of candidate.items) {
+      const location = normalizeStoreLocation(raw);
+      const located = location.postalCode || hasCoordinates(location);
+      if (location.id != null && located) {
+        locations.push(location);
+      }
+    }
+  }
+  return locations;
+}
+
+export function mergeStoreLocation(store, location) {
+  const merged = { ...store };
+  for (const field of [
+    'address',
+    'city',
+    'province',
+    'postalCode',
+    'lat',
+    'lng',
+    'region',
+  ]) {
+    if (location[field] != null && location[field] !== '') {
+      merged[field] = store.locked?.includes(field)
+        ? store[field]
+        : location[field];
+    }
+  }
+  merged.banner = store.locked?.includes('banner')
+    ? store.banner
+    : location.banner ?? detectBanner(store.name);
+  return merged;
+}
+
+function matchesRegion(store, region) {
+  const wanted = foldText(region);
+  return [store.region, store.city, store.province, store.locationQuery].some(
+    (value) => value && foldText(value) === wanted
+  );
+}
+
+function centroid(points) {
+  return {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length,
+  };
+}
+
+async function readGeocodeCache(cachePath) {
+  if (!cachePath) return {};
+  try {
+    return JSON.parse(await fs.readFile(cachePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+export async function geocodePostalCode(
+  postalCode,
+  { cachePath = null, fetchImpl = fetch } = {}
+) {
+  const cache = await readGeocodeCache(cachePath);
+  if (cache[postalCode]) return cache[postalCode];
+
+  const url = new URL(GEOCODE_URL);
+  url.searchParams.set('postalcode', postalCode);
+  url.searchParams.set('country', 'ca');
+  url.searchParams.set('format', 'json');
+  url.searchParams.set('limit', '1');
+  const response = await fetchImpl(url, {
+    headers: { 'user-agent': 'rona-scraper (store selection)' },
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!response.ok) {
+    throw new Error(`Geocoder responded ${response.status} for ${postalCode}`);
+  }
+  const [first] = await response.json();
+  const point = first
+    ? { lat: Number(first.lat), lng: Number(first.lon) }
+    : null;
+  if (!hasCoordinates(point)) {
+    throw new Error(`Could not geocode postal code ${postalCode}`);
+  }
+  if (cachePath) {
+    cache[postalCode] = point;
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.writeFile(cachePath, JSON.stringify(cache, null, 2), 'utf8');
+  }
+  return point;
+}
+
+export async function resolveOrigin(near, stores, options = {}) {
+  const latLng = String(near)
+    .trim()
+    .match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (latLng) {
+    return { lat: Number(latLng[1]), lng: Number(latLng[2]) };
+  }
+
+  const byStore = stores.find(
+    (store) => store.slug === near || String(store.id) === String(near)
+  );
+  if (byStore) {
+    if (!hasCoordinates(byStore)) {
+      throw new Error(`Store ${byStore.slug} has no coordinates yet.`);
+    }
+    return { lat: byStore.lat, lng: byStore.lng };
+  }
+
+  const postalCode = normalizePostalCode(near);
+  if (!postalCode) {
+    throw new Error(
+      `--near must be a postal code, "lat,lng" or a store slug, got "${near}"`
+    );
+  }
+  const located = stores.filter(hasCoordinates);
+  const exact = located.filter((store) => store.postalCode === postalCode);
+  if (exact.length > 0) return centroid(exact);
+  return geocodePostalCode(postalCode, options);
+}
+
+export async function selectStores(
+  stores,
+  { near = null, radiusKm = null, region = null, banner = null } = {},
+  geocodeOptions = {}
+) {
+  let selected = stores;
+  if (region) {
+    selected = selected.filter((store) => matchesRegion(store, region));
+  }
+  if (banner) {
+    const wanted = foldText(banner);
+    selected = selected.filter(
+      (store) => foldText(store.banner ?? detectBanner(store.name)) === wanted
+    );
+  }
+  if (near) {
+    const origin = await resolveOrigin(near, stores, geocodeOptions);
+    const missing = selected.filter((store) => !hasCoordinates(store));
+    if (missing.length > 0) {
+      console.log(
+        `[rona] ${missing.length} stores have no coordinates and were skipped; run scripts/enrich_rona_stores.mjs`
+      );
+    }
+    selected = selected
+      .filter(hasCoordinates)
+      .map((store) => ({
+        ...store,
+        distanceKm: Number(haversineKm(origin, store).toFixed(1)),
+      }))
+      .filter((store) => radiusKm == null || store.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+  return selected;
+}
+
+export function storeSelectionFromArgs(values) {
+  const selection = {
+    near: values.near ?? null,
+    radiusKm: parseRadius(values.radius),
+    region: values.region ?? null,
+    banner: values.banner ?? null,
+  };
+  if (selection.radiusKm != null && !selection.near) {
+    throw new Error('--radius requires --near.');
+  }
+  const active = Object.values(selection).some((value) => value != null);
+  return active ? selection : null;
+}
+
+export function slugifyStore(name, id) {
+  const base = String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base}-${id}`;
+}
+
+export function storeEntryFromLocation(location) {
+  return mergeStoreLocation(
+    {
+      id: location.id,
+      name: location.name,
+      slug: slugifyStore(location.name, location.id),
+      locationQuery: location.city ?? location.name,
+    },
+    location
+  );
+}
+
+export function diffStores(existing, discovered, { prune = false } = {}) {
+  const discoveredById = new Map(
+    discovered
+      .filter((location) => location.id != null && location.name)
+      .map((location) => [String(location.id), location])
+  );
+  const existingIds = new Set(existing.map((store) => String(store.id)));
+  const diff = { added: [], removed: [], renamed: [], unchanged: 0 };
+  const stores = [];
+
+  for (const store of existing) {
+    const location = discoveredById.get(String(store.id));
+    if (!location) {
+      diff.removed.push({ id: store.id, slug: store.slug, name: store.name });
+      if (!prune) stores.push(store);
+      continue;
+    }
+    let next = mergeStoreLocation(store, location);
+    if (location.name !== store.name && !store.locked?.includes('name')) {
+      diff.renamed.push({
+        id: store.id,
+        slug: store.slug,
+        from: store.name,
+        to: location.name,
+      });
+      next = { ...next, name: location.name };
+    } else {
+      diff.unchanged += 1;
+    }
+    stores.push(next);
+  }
+
+  for (const [id, location] of discoveredById) {
+    if (existingIds.has(id)) continue;
+    const entry = storeEntryFromLocation(location);
+    diff.added.push({ id: entry.id, slug: entry.slug, name: entry.name });
+    stores.push(entry);
+  }
+
+  return { diff, stores };
+}
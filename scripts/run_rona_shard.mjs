@@ -1,8 +1,52 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { scrapeStore } from './scrape_rona_store.mjs';
+import { launchBrowser, scrapeStore } from './scrape_store.mjs';
+import {
+  SESSION_ARG_OPTIONS,
+  sessionPoolFromArgs,
+} from './browser_sessions.mjs';
+import {
+  RETAILER_ARG_OPTIONS,
+  languagesFromArgs,
+  retailerFromArgs,
+  selectorsFromArgs,
+} from './retailers/index.mjs';
+import { parseFilterArgs } from './rona_filters.mjs';
+import { ENRICH_ARG_OPTIONS, enrichFromArgs } from './rona_enrich.mjs';
+import { API_ARG_OPTIONS, apiFromArgs } from './rona_api.mjs';
+import {
+  STORE_SELECT_ARG_OPTIONS,
+  loadStores,
+  selectStores,
+  storeSelectionFromArgs,
+} from './rona_stores.mjs';
+import {
+  backoffDelay,
+  createHostRateLimiter,
+  runPool,
+  sleep,
+} from './concurrency.mjs';
+import {
+  createCheckpointWriter,
+  isFreshSuccess,
+  loadCheckpoint,
+} from './shard_checkpoint.mjs';
+import {
+  logValidationReport,
+  validateDataDir,
+  validationFailure,
+} from './validate_rona_data.mjs';
+import {
+  buildShardPlan,
+  loadShardPlan,
+  logShardPlan,
+  storesForShard,
+} from './plan_rona_shards.mjs';
 
 function getShardConfig() {
+  if (!process.env.SHARD_INDEX && !process.env.TOTAL_SHARDS) {
+    return { shardIndex: 1, totalShards: 1 };
+  }
   const shardIndex = Number.parseInt(process.env.SHARD_INDEX, 10);
   const totalShards = Number.parseInt(process.env.TOTAL_SHARDS, 10);
 
@@ -16,46 +60,268 @@ function getShardConfig() {
   return { shardIndex, totalShards };
 }
 
+function readIntEnv(name, fallback, minimum = 0) {
+  const raw = process.env[name];
+  if (raw == null || raw === '') return fallback;
+  const value = Number.parseInt(raw, 10);
+  if (!Number.isInteger(value) || value < minimum) {
+    throw new Error(`${name} must be an integer >= ${minimum}.`);
+  }
+  return value;
+}
+
+function getPoolConfig() {
+  return {
+    concurrency: readIntEnv('CONCURRENCY', 1, 1),
+    rateLimitMs: readIntEnv('RATE_LIMIT_MS', 3000, 0),
+  };
+}
+
+function getRetryPolicy() {
+  return {
+    error: {
+      attempts: readIntEnv('RETRY_ERROR_ATTEMPTS', 3, 1),
+      baseMs: readIntEnv('RETRY_ERROR_BASE_MS', 5000, 0),
+    },
+    blocked: {
+      attempts: readIntEnv('RETRY_BLOCKED_ATTEMPTS', 2, 1),
+      baseMs: readIntEnv('RETRY_BLOCKED_BASE_MS', 60000, 0),
+    },
+    checkpointMaxAgeMs:
+      readIntEnv('CHECKPOINT_MAX_AGE_HOURS', 20, 0) * 60 * 60 * 1000,
+  };
+}
+
+function getShardStrategy() {
+  const strategy = process.env.SHARD_STRATEGY || 'balanced';
+  if (!['balanced', 'modulo'].includes(strategy)) {
+    throw new Error('SHARD_STRATEGY must be "balanced" or "modulo".');
+  }
+  return { strategy, planPath: process.env.SHARD_PLAN || null };
+}
+
+async function resolveShardStores(
+  stores,
+  { shardIndex, totalShards, dataDir }
+) {
+  const { strategy, planPath } = getShardStrategy();
+  if (strategy === 'modulo') {
+    return {
+      plan: null,
+      shardStores: stores.filter(
+        (_, index) => index % totalShards === shardIndex - 1
+      ),
+    };
+  }
+  let plan = planPath ? await loadShardPlan(planPath, totalShards) : null;
+  if (!plan) {
+    plan = await buildShardPlan({ dataDir, stores, totalShards });
+  }
+  return { plan, shardStores: storesForShard(stores, plan, shardIndex) };
+}
+
+function getValidationConfig() {
+  return {
+    maxErrorStores: readIntEnv('VALIDATION_MAX_ERROR_STORES', null, 0),
+  };
+}
+
+async function scrapeWithRetry(
+  store,
+  getScrapeOptions,
+  policy,
+  sessions = null
+) {
+  const failures = { error: 0, blocked: 0 };
+  let attempts = 0;
+  for (;;) {
+    attempts += 1;
+    let outcome = 'scraped';
+    let result = null;
+    let error = null;
+    const options = await getScrapeOptions();
+    try {
+      result = await scrapeStore(store, options);
+      if (result?.status === 'blocked') {
+        outcome = 'blocked';
+      }
+    } catch (scrapeError) {
+      console.error(`Error scraping ${store.slug}:`, scrapeError);
+      outcome = 'error';
+      error = scrapeError;
+    }
+    sessions?.report(options.session, outcome);
+
+    if (outcome === 'scraped') {
+      return { outcome, result, error, attempts };
+    }
+    failures[outcome] += 1;
+    const rule = policy[outcome];
+    if (failures[outcome] >= rule.attempts) {
+      return { outcome, result, error, attempts };
+    }
+    const delay = backoffDelay(rule.baseMs, failures[outcome]);
+    console.log(
+      `[rona] retry store=${store.slug} outcome=${outcome} attempt=${attempts + 1} in ${delay}ms`
+    );
+    await sleep(delay);
+  }
+}
+
+function createBrowserProvider() {
+  let browserPromise = null;
+  return {
+    async get() {
+      const current = browserPromise;
+      const browser = await current?.catch(() => null);
+      if ((!browser || !browser.isConnected()) && browserPromise === current) {
+        browserPromise = launchBrowser();
+      }
+      return browserPromise;
+    },
+    async close() {
+      const browser = await browserPromise?.catch(() => null);
+      await browser?.close().catch(() => {});
+    },
+  };
+}
+
 async function main() {
+  const startedAt = Date.now();
   const { shardIndex, totalShards } = getShardConfig();
-  const stores = JSON.parse(await fs.readFile('stores.json', 'utf-8'));
+  const { filter, saveAll, values } = await parseFilterArgs(
+    process.argv.slice(2),
+    {
+      ...ENRICH_ARG_OPTIONS,
+      ...API_ARG_OPTIONS,
+      ...STORE_SELECT_ARG_OPTIONS,
+      ...RETAILER_ARG_OPTIONS,
+      ...SESSION_ARG_OPTIONS,
+    }
+  );
+  const adapter = retailerFromArgs(values);
+  const { dataDir } = adapter;
+  const languages = languagesFromArgs(values, adapter) ?? undefined;
+  const selectors = await selectorsFromArgs(values, adapter);
+  const sessions = await sessionPoolFromArgs(values);
+  const enrich = await enrichFromArgs(values, dataDir);
+  const api = await apiFromArgs(values, dataDir);
+  const { concurrency, rateLimitMs } = getPoolConfig();
+  const retryPolicy = getRetryPolicy();
+  const validation = getValidationConfig();
+  const selection = storeSelectionFromArgs(values);
+  let stores = await loadStores(adapter.storesPath);
+  if (selection) {
+    stores = await selectStores(stores, selection, {
+      cachePath: path.join(dataDir, 'geocode_cache.json'),
+    });
+    console.log(
+      `[rona] selected stores=${stores.length} near=${selection.near ?? '-'} radiusKm=${selection.radiusKm ?? '-'} region=${selection.region ?? '-'} banner=${selection.banner ?? '-'}`
+    );
+  }
 
-  const shardStores = stores.filter(
-    (_, index) => index % totalShards === shardIndex - 1
+  const { plan, shardStores } = await resolveShardStores(stores, {
+    shardIndex,
+    totalShards,
+    dataDir,
+  });
+  const summaryDir = path.join(dataDir, `shard-${shardIndex}`);
+  if (plan) {
+    logShardPlan(plan);
+    await fs.mkdir(summaryDir, { recursive: true });
+    await fs.writeFile(
+      path.join(summaryDir, 'plan.json'),
+      JSON.stringify(plan, null, 2),
+      'utf8'
+    );
+  }
+  const checkpointPath = path.join(summaryDir, 'checkpoint.json');
+  const checkpoint = await loadCheckpoint(checkpointPath, {
+    shardIndex,
+    totalShards,
+  });
+  const checkpointWriter = createCheckpointWriter(checkpointPath, checkpoint);
+  const pendingStores = shardStores.filter(
+    (store) =>
+      !isFreshSuccess(
+        checkpoint.stores[store.slug],
+        retryPolicy.checkpointMaxAgeMs
+      )
   );
+
   const summary = {
+    retailer: adapter.id,
     shardIndex,
     totalShards,
     storesTotal: shardStores.length,
     storesOk: 0,
     storesBlocked: 0,
     storesError: 0,
+    storesSkipped: shardStores.length - pendingStores.length,
+    storesViaApi: 0,
+    strategy: plan ? 'balanced' : 'modulo',
+    estimatedMs: plan?.shards[shardIndex - 1]?.estimatedMs ?? null,
     blockedReasons: {},
     timestamp: new Date().toISOString(),
   };
 
   console.log(
-    `Running shard ${shardIndex}/${totalShards} with ${shardStores.length} stores.`
+    `Running ${adapter.name} shard ${shardIndex}/${totalShards} with ${shardStores.length} stores (concurrency=${concurrency}, rateLimitMs=${rateLimitMs}).`
   );
+  if (summary.storesSkipped > 0) {
+    console.log(
+      `[rona] checkpoint skip=${summary.storesSkipped} stores scraped within ${retryPolicy.checkpointMaxAgeMs / 3600000}h`
+    );
+  }
+
+  const browsers = createBrowserProvider();
+  const rateLimiter = createHostRateLimiter({ minIntervalMs: rateLimitMs });
 
-  for (const store of shardStores) {
+  await runPool(pendingStores, concurrency, async (store) => {
+    const storeStartedAt = Date.now();
     try {
       console.log(`Scraping ${store.name} (${store.slug})...`);
-      const result = await scrapeStore(store);
-      if (result?.status === 'blocked') {
+      const { outcome, result, error, attempts } = await scrapeWithRetry(
+        store,
+        async () => ({
+          filter,
+          saveAll,
+          enrich,
+          api,
+          adapter,
+          languages,
+          selectors,
+          session: sessions?.acquire() ?? null,
+          browser: await browsers.get(),
+          rateLimiter,
+        }),
+        retryPolicy,
+        sessions
+      );
+      if (outcome === 'blocked') {
         summary.storesBlocked += 1;
         const reason = result.blockedReason || 'unknown';
         summary.blockedReasons[reason] =
           (summary.blockedReasons[reason] || 0) + 1;
+      } else if (outcome === 'error') {
+        summary.storesError += 1;
       } else {
         summary.storesOk += 1;
+        if (result.source === 'api') summary.storesViaApi += 1;
       }
+      await checkpointWriter.record(store.slug, {
+        status: outcome,
+        attempts,
+        count: result?.count ?? null,
+        source: result?.source ?? null,
+        blockedReason: result?.blockedReason ?? null,
+        error: error?.message ?? null,
+        durationMs: Date.now() - storeStartedAt,
+        finishedAt: new Date().toISOString(),
+      });
       console.log(`Finished ${store.slug}`);
-    } catch (error) {
-      console.error(`Error scraping ${store.slug}:`, error);
-      summary.storesError += 1;
     } finally {
-      const baseDir = path.join('data', 'rona', store.slug);
+      const baseDir = path.join(dataDir, store.slug);
       const jsonPath = path.join(baseDir, 'data.json');
       const csvPath = path.join(baseDir, 'data.csv');
       try {
@@ -71,15 +337,59 @@ async function main() {
         // ignore missing csv
       }
     }
-  }
+  });
+  await browsers.close();
+  await checkpointWriter.flush();
 
-  const summaryDir = path.join('data', 'rona', `shard-${shardIndex}`);
   await fs.mkdir(summaryDir, { recursive: true });
+  const report = await validateDataDir(dataDir, {
+    slugs: shardStores.map((store) => store.slug),
+  });
+  await fs.writeFile(
+    path.join(summaryDir, 'validation.json'),
+    JSON.stringify(report, null, 2),
+    'utf8'
+  );
+  logValidationReport(report);
+  const validationFailed = validationFailure(
+    report,
+    validation.maxErrorStores
+  );
+  summary.validation = {
+    storesChecked: report.storesChecked,
+    storesWithErrors: report.storesWithErrors,
+    storesWithWarnings: report.storesWithWarnings,
+    storesWithProducts: report.storesWithProducts,
+    maxErrorStores: validation.maxErrorStores,
+    failure: validationFailed,
+  };
+  summary.durationMs = Date.now() - startedAt;
+  summary.sessions = sessions?.stats() ?? null;
+  const pendingSlugs = new Set(pendingStores.map((store) => store.slug));
+  summary.stores = shardStores.map((store) => {
+    const entry = checkpoint.stores[store.slug];
+    return {
+      slug: store.slug,
+      name: store.name,
+      status: entry?.status ?? 'missing',
+      skipped: !pendingSlugs.has(store.slug),
+      count: entry?.count ?? null,
+      durationMs: entry?.durationMs ?? null,
+      attempts: entry?.attempts ?? null,
+      source: entry?.source ?? null,
+      blockedReason: entry?.blockedReason ?? null,
+      error: entry?.error ?? null,
+      finishedAt: entry?.finishedAt ?? null,
+    };
+  });
   const summaryPath = path.join(summaryDir, 'summary.json');
   await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
   console.log(
-    `[rona] shard summary storesOk=${summary.storesOk} storesBlocked=${summary.storesBlocked} storesError=${summary.storesError}`
+    `[rona] shard summary storesOk=${summary.storesOk} storesBlocked=${summary.storesBlocked} storesError=${summary.storesError} storesSkipped=${summary.storesSkipped} storesViaApi=${summary.storesViaApi}`
   );
+  if (validationFailed) {
+    throw new Error(`Validation failed: ${validationFailed}.`);
+  }
 }
 
 main().catch((error) => {
@@ -0,0 +1,826 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { chromium } from 'playwright';
+import { updateHistory } from './rona_history.mjs';
+import {
+  ENRICH_ARG_OPTIONS,
+  enrichFromArgs,
+  enrichProducts,
+} from './rona_enrich.mjs';
+import {
+  DEFAULT_FILTER,
+  applyFilter,
+  parseFilterArgs,
+} from './rona_filters.mjs';
+import {
+  SCHEMA_VERSION,
+  extractProductsFromCaptured,
+  localizeNames,
+  normalizeCapturedProducts,
+  normalizeTiles,
+  toCsv,
+} from './rona_parsing.mjs';
+import {
+  API_ARG_OPTIONS,
+  apiFromArgs,
+  fetchViaApi,
+  learnEndpoint,
+} from './rona_api.mjs';
+import {
+  RETAILER_ARG_OPTIONS,
+  getRetailer,
+  languagesFromArgs,
+  logPrefix,
+  retailerFromArgs,
+  selectorsFromArgs,
+} from './retailers/index.mjs';
+import { DEFAULT_TIMEOUT, firstMatchingSelector } from './page_helpers.mjs';
+import { detectBlock } from './block_detection.mjs';
+import {
+  SESSION_ARG_OPTIONS,
+  newSessionContext,
+  saveSessionState,
+  sessionPoolFromArgs,
+} from './browser_sessions.mjs';
+import {
+  createSelectorHealth,
+  formatSelectorHealth,
+} from './selector_profiles.mjs';
+
+function logStoreSummary({
+  tag,
+  slug,
+  storeName,
+  tiles,
+  parsed,
+  kept,
+  ms,
+  reason,
+}) {
+  const parts = [
+    `${tag} store=${slug}`,
+    storeName ? `name="${storeName}"` : null,
+    `tiles=${tiles}`,
+    `parsed=${parsed}`,
+    `kept=${kept}`,
+    ms != null ? `ms=${ms}` : null,
+    reason ? `note="${reason}"` : null,
+  ].filter(Boolean);
+  console.log(parts.join(' '));
+}
+
+async function ensureDir(dirPath) {
+  await fs.mkdir(dirPath, { recursive: true });
+}
+
+async function writeJson(filePath, data) {
+  await ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+async function writeCsv(filePath, rows) {
+  await ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, toCsv(rows), 'utf8');
+}
+
+export async function extractProducts(
+  page,
+  filter = DEFAULT_FILTER,
+  adapter = getRetailer(),
+  language = null,
+  { tileData = null, selectors = adapter.selectors, health = null } = {}
+) {
+  tileData ??= await adapter.readTiles(page, { selectors, health });
+  const { products: normalized, parsedCount } = normalizeTiles(
+    tileData,
+    adapter.baseUrl,
+    { locale: language }
+  );
+  const products = applyFilter(normalized, filter);
+  return {
+    products,
+    allProducts: normalized,
+    parsedCount,
+    keptCount: products.length,
+  };
+}
+
+async function writeOutput({
+  baseDir,
+  retailer = null,
+  languages = null,
+  store,
+  items,
+  stats,
+  debug,
+  status = 'scraped',
+  blocked = false,
+  blockedBy = null,
+  meta = null,
+  blockedReason = null,
+  blockCheck = null,
+  selectedStore = null,
+  filter = null,
+  allItems = null,
+  source = 'browser',
+}) {
+  const jsonPath = path.join(baseDir, 'data.json');
+  const csvPath = path.join(baseDir, 'data.csv');
+  const scrapedAt = new Date().toISOString();
+
+  await writeJson(jsonPath, {
+    schemaVersion: SCHEMA_VERSION,
+    retailer,
+    languages,
+    store: { slug: store.slug, name: store.name, id: store.id ?? null },
+    selectedStore,
+    scrapedAt,
+    source,
+    status,
+    blocked,
+    blockedBy,
+    blockedReason,
+    blockCheck,
+    meta,
+    filter,
+    count: items.length,
+    items,
+    stats,
+  });
+  if (allItems) {
+    await writeJson(path.join(baseDir, 'all.json'), {
+      schemaVersion: SCHEMA_VERSION,
+      retailer,
+      store: { slug: store.slug, name: store.name, id: store.id ?? null },
+      scrapedAt,
+      count: allItems.length,
+      items: allItems,
+    });
+  }
+  if (blocked) {
+    await ensureDir(path.dirname(csvPath));
+    await fs.writeFile(csvPath, 'BLOCKED\n', 'utf8');
+  } else {
+    await writeCsv(csvPath, items);
+  }
+
+  if (status === 'scraped') {
+    await updateHistory({ baseDir, store, items, scrapedAt, filter });
+  }
+
+  if (debug?.html) {
+    await ensureDir(baseDir);
+    await fs.writeFile(path.join(baseDir, 'debug.html'), debug.html, 'utf8');
+  }
+  if (debug?.screenshot) {
+    await ensureDir(baseDir);
+    await fs.writeFile(path.join(baseDir, 'debug.png'), debug.screenshot);
+  }
+}
+
+export async function launchBrowser() {
+  return chromium.launch({ headless: true });
+}
+
+export async function scrapeStore(store, options = {}) {
+  const {
+    filter = DEFAULT_FILTER,
+    saveAll = false,
+    browser: sharedBrowser = null,
+    rateLimiter = null,
+    adapter = getRetailer(),
+    dataDir = adapter.dataDir,
+    languages = adapter.defaultLanguage ? [adapter.defaultLanguage] : [],
+    selectors = adapter.selectors ?? null,
+    session = null,
+    enrich = null,
+    api = null,
+  } = options;
+  const [language = null, ...otherLanguages] = languages;
+  const usesDefaultLanguage = language === (adapter.defaultLanguage ?? null);
+  const baseDir = path.join(dataDir, store.slug);
+  const targetUrl = adapter.resolveClearanceUrl(store, language);
+  const t0 = Date.now();
+  const tag = logPrefix(adapter);
+  console.log(`${tag} START store=${store.slug} name="${store.name}"`);
+  let tilesCount = 0;
+  let pagination = null;
+  const health = selectors ? createSelectorHealth(selectors) : null;
+  let parsedCount = 0;
+  let keptCount = 0;
+  let products = [];
+  let allProducts = null;
+  let status = 'scraped';
+  let blocked = false;
+  let blockedBy = null;
+  let blockedReason = null;
+  let blockCheck = null;
+  let selectedStore = null;
+  let source = 'browser';
+  const captured = [];
+  const responseUrls = [];
+  let candidateResponses = 0;
+  const maxCaptures = 20;
+  const minCaptureSize = 2000;
+  const maxCaptureSize = 5 * 1024 * 1024;
+  const captureMatchers = adapter.captureMatchers ?? /api|search|products/i;
+  const browser = sharedBrowser ?? (await launchBrowser());
+  const context = await newSessionContext(browser, session);
+  const sessionInfo = session
+    ? { proxy: session.proxy, profile: session.profile }
+    : null;
+  if (sessionInfo) {
+    console.log(
+      `${tag} session proxy=${sessionInfo.proxy} profile=${sessionInfo.profile}`
+    );
+  }
+  await adapter.prepareContext?.(context, store, targetUrl);
+  const page = await context.newPage();
+  page.setDefaultTimeout(DEFAULT_TIMEOUT);
+  let lastNavigation = { url: null, response: null };
+  const navigate = async (url) => {
+    await rateLimiter?.wait(url);
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+    lastNavigation = { url, response };
+    return response;
+  };
+  const checkBlock = (tileCount = null) =>
+    detectBlock(page, lastNavigation.response, {
+      ...adapter.blockDetection,
+      requestedUrl: lastNavigation.url,
+      tileCount,
+    });
+  page.on('response', async (res) => {
+    try {
+      const url = res.url();
+      const headers = res.headers();
+      const ct = (headers['content-type'] || '').toLowerCase();
+      const resourceType = res.request().resourceType();
+      responseUrls.push({
+        url,
+        status: res.status(),
+        ct,
+        resourceType,
+      });
+
+      if (!['xhr', 'fetch', 'document'].includes(resourceType)) {
+        return;
+      }
+      if (!captureMatchers.test(url)) {
+        return;
+      }
+      candidateResponses += 1;
+      if (captured.length >= maxCaptures) return;
+
+      const contentLength = Number.parseInt(headers['content-length'] || '', 10);
+      if (Number.isFinite(contentLength) && contentLength > maxCaptureSize) {
+        return;
+      }
+
+      const bodyText = await res.text();
+      const bodyLength = bodyText.length;
+      if (bodyLength < minCaptureSize || bodyLength > maxCaptureSize) {
+        return;
+      }
+
+      let data = null;
+      let isJson = false;
+      if (ct.includes('json')) {
+        try {
+          data = JSON.parse(bodyText);
+          isJson = true;
+        } catch (error) {
+          // ignore parse errors
+        }
+      }
+
+      captured.push({
+        url,
+        ct,
+        status: res.status(),
+        resourceType,
+        bodyText,
+        bodyLength,
+        data,
+        isJson,
+      });
+    } catch (error) {
+      // ignore response capture errors
+    }
+  });
+
+  async function writeNetworkDebug(baseDir) {
+    if (responseUrls.length > 0) {
+      const lines = responseUrls.map(
+        (entry) =>
+          `${entry.status}\t${entry.resourceType}\t${entry.ct}\t${entry.url}`
+      );
+      await ensureDir(baseDir);
+      await fs.writeFile(
+        path.join(baseDir, 'network_urls.txt'),
+        `${lines.join('\n')}\n`,
+        'utf8'
+      );
+    }
+
+    if (captured.length > 0) {
+      const sorted = [...captured].sort(
+        (a, b) => (b.bodyLength || 0) - (a.bodyLength || 0)
+      );
+      const picks = sorted.slice(0, 3);
+      const index = { pageUrl: page.url(), captures: [] };
+      await ensureDir(baseDir);
+      for (const [pickIndex, entry] of picks.entries()) {
+        const rank = pickIndex + 1;
+        const ext = entry.isJson ? 'json' : 'txt';
+        const filename = path.join(baseDir, `network_${rank}.${ext}`);
+        index.captures.push({
+          file: path.basename(filename),
+          url: entry.url,
+          ct: entry.ct,
+          status: entry.status,
+          isJson: entry.isJson,
+        });
+        if (entry.isJson && entry.data) {
+          await fs.writeFile(
+            filename,
+            JSON.stringify(entry.data, null, 2),
+            'utf8'
+          );
+        } else {
+          await fs.writeFile(filename, entry.bodyText ?? '', 'utf8');
+        }
+      }
+      await writeJson(path.join(baseDir, 'network_index.json'), index);
+    }
+
+    console.log(`${tag} responses total=${responseUrls.length}`);
+    console.log(`${tag} xhr/fetch candidates=${candidateResponses}`);
+    if (captured.length > 0) {
+      const biggest = [...captured].sort(
+        (a, b) => (b.bodyLength || 0) - (a.bodyLength || 0)
+      )[0];
+      console.log(
+        `${tag} biggest capture url=${biggest.url} ct=${biggest.ct} bytes=${biggest.bodyLength}`
+      );
+    }
+  }
+
+  function buildCaptureMeta() {
+    const meta = {
+      responsesTotal: responseUrls.length,
+      xhrFetchCandidates: candidateResponses,
+      biggestCapture: null,
+      timestamp: new Date().toISOString(),
+    };
+    if (captured.length > 0) {
+      const biggest = [...captured].sort(
+        (a, b) => (b.bodyLength || 0) - (a.bodyLength || 0)
+      )[0];
+      meta.biggestCapture = {
+        url: biggest.url,
+        ct: biggest.ct,
+        bytes: biggest.bodyLength,
+      };
+    }
+    return meta;
+  }
+
+  async function finishBlocked(check) {
+    status = 'blocked';
+    blocked = true;
+    blockCheck = check;
+    blockedBy = check.vendor;
+    blockedReason = check.verdict;
+    console.log(
+      `${tag} BLOCKED store=${store.slug} name="${store.name}" verdict=${check.verdict} confidence=${check.confidence} reasons=${check.reasons.join(',')}`
+    );
+    const debug = { html: null, screenshot: null };
+    try {
+      debug.html = await page.content();
+      debug.screenshot = await page.screenshot({ fullPage: true });
+    } catch (debugError) {
+      // ignore debug capture errors
+    }
+    await writeNetworkDebug(baseDir);
+    await writeOutput({
+      baseDir,
+      retailer: adapter.id,
+      languages,
+      store,
+      items: [],
+      stats: {
+        tiles: tilesCount,
+        parsedCount: 0,
+        keptCount: 0,
+        session: sessionInfo,
+        durationMs: Date.now() - t0,
+      },
+      debug,
+      status,
+      blocked,
+      blockedBy,
+      blockedReason,
+      blockCheck,
+      selectedStore,
+      meta: buildCaptureMeta(),
+    });
+    console.log(`${tag} END store=${store.slug}`);
+    return { status, blockedBy, blockedReason, count: 0 };
+  }
+
+  async function scrapeTranslations() {
+    const translations = {};
+    const languageStats = {};
+    for (const other of otherLanguages) {
+      try {
+        await navigate(adapter.resolveClearanceUrl(store, other));
+        await adapter.dismissConsent?.(page, { language: other, selectors });
+        const check = await checkBlock();
+        if (check.blocked) {
+          throw new Error(`blocked (${check.verdict})`);
+        }
+        const { tileData } =
+          (await adapter.loadAllProducts(page, {
+            language: other,
+            navigate,
+            selectors,
+          })) ?? {};
+        const extracted = await extractProducts(
+          page,
+          DEFAULT_FILTER,
+          adapter,
+          other,
+          { tileData, selectors }
+        );
+        translations[other] = extracted.allProducts;
+        languageStats[other] = {
+          parsed: extracted.allProducts.length,
+          matched: 0,
+        };
+      } catch (languageError) {
+        languageStats[other] = { error: languageError.message };
+        console.log(
+          `${tag} lang=${other} failed store=${store.slug} error="${languageError.message}"`
+        );
+      }
+    }
+    const localized = localizeNames(allProducts, language, translations);
+    for (const [other, matched] of Object.entries(localized.matched)) {
+      languageStats[other].matched = matched;
+      console.log(
+        `${tag} lang=${other} store=${store.slug} parsed=${languageStats[other].parsed} matched=${matched}`
+      );
+    }
+    allProducts = localized.items;
+    products = applyFilter(allProducts, filter);
+    return languageStats;
+  }
+
+  try {
+    const apiEndpoint = usesDefaultLanguage ? api?.endpoint : null;
+    if (apiEndpoint) {
+      try {
+        const fromApi = await fetchViaApi({
+          request: context.request,
+          endpoint: apiEndpoint,
+          store,
+          rateLimiter,
+        });
+        if (!fromApi.reportedStoreId) {
+          api.disable('the payload names no store, so it cannot be confirmed');
+          throw new Error('API response does not name a store');
+        }
+        if (fromApi.reportedStoreId !== String(store.id)) {
+          throw new Error(
+            `API answered for store ${fromApi.reportedStoreId}, expected ${store.id}`
+          );
+        }
+        const normalized = normalizeCapturedProducts(
+          fromApi.items,
+          adapter.baseUrl
+        );
+        if (normalized.length === 0) {
+          throw new Error('API returned no products');
+        }
+        allProducts = normalized;
+        products = applyFilter(normalized, filter);
+        parsedCount = normalized.length;
+        keptCount = products.length;
+        source = 'api';
+        selectedStore = {
+          requestedId: store.id ?? null,
+          requestedName: store.name,
+          method: 'api',
+          confirmed: true,
+          confirmedBy: 'store-id',
+          headerText: null,
+          headerStoreId: fromApi.reportedStoreId,
+        };
+        api.recordSuccess();
+        console.log(
+          `${tag} api store=${store.slug} pages=${fromApi.pages} items=${normalized.length}`
+        );
+      } catch (apiError) {
+        api.recordFailure();
+        console.log(
+          `${tag} api failed store=${store.slug} error="${apiError.message}", falling back to browser`
+        );
+      }
+    }
+
+    if (!allProducts) {
+      await navigate(targetUrl);
+      await adapter.dismissConsent?.(page, { language, selectors, health });
+      blockCheck = await checkBlock();
+      if (blockCheck.blocked) {
+        return await finishBlocked(blockCheck);
+      }
+      selectedStore = await adapter.selectStore(page, store, {
+        targetUrl,
+        navigate,
+        selectors,
+      });
+      console.log(
+        `${tag} store selection method=${selectedStore.method} confirmed=${selectedStore.confirmedBy ?? false} header="${selectedStore.headerText ?? ''}"`
+      );
+      if (!selectedStore.confirmed) {
+        throw new Error(
+          `Could not confirm store ${store.id} (${store.name}) by store id or full name`
+        );
+      }
+      const { tileData: pagedTiles = null, ...paged } =
+        (await adapter.loadAllProducts(page, {
+          language,
+          navigate,
+          selectors,
+          health,
+        })) ?? {};
+      pagination = paged.strategy ? paged : null;
+      if (pagination) {
+        console.log(
+          `${tag} pagination strategy=${pagination.strategy} steps=${pagination.steps} collected=${pagination.collected} advertised=${pagination.advertised ?? '-'}${pagination.truncated ? ` TRUNCATED (${pagination.truncatedReason})` : ''}`
+        );
+      }
+      tilesCount =
+        pagedTiles?.length ??
+        (await firstMatchingSelector(page, selectors?.tiles ?? [])).count;
+
+      if (tilesCount === 0) {
+        console.log(`${tag} tiles=0 url=${page.url()}`);
+        await ensureDir(baseDir);
+        await fs.writeFile(
+          path.join(baseDir, 'debug.html'),
+          await page.content(),
+          'utf8'
+        );
+        await page.screenshot({
+          path: path.join(baseDir, 'debug.png'),
+          fullPage: true,
+        });
+
+        console.log(`${tag} captured endpoints=${captured.length}`);
+        if (captured[0]?.url) {
+          console.log(`${tag} captured[0].url=${captured[0].url}`);
+        }
+        if (captured.length > 0) {
+          const extractedFromJson = extractProductsFromCaptured(
+            captured,
+            adapter.baseUrl,
+            filter
+          );
+          if (extractedFromJson.matched) {
+            console.log(
+              `${tag} matched json endpoint=${extractedFromJson.matched.url} path=${extractedFromJson.matched.path} items=${extractedFromJson.matched.items.length}`
+            );
+          }
+          if (extractedFromJson.allProducts.length > 0) {
+            products = extractedFromJson.products;
+            allProducts = extractedFromJson.allProducts;
+            keptCount = extractedFromJson.products.length;
+            parsedCount = extractedFromJson.allProducts.length;
+          }
+        }
+
+        if (!allProducts) {
+          blockCheck = await checkBlock(0);
+          console.log(
+            `${tag} tiles=0 verdict=${blockCheck.verdict} confidence=${blockCheck.confidence}`
+          );
+          if (blockCheck.blocked) {
+            return await finishBlocked(blockCheck);
+          }
+        }
+      }
+
+      if (!allProducts) {
+        const extracted = await extractProducts(
+          page,
+          filter,
+          adapter,
+          language,
+          { tileData: pagedTiles, selectors, health }
+        );
+        products = extracted.products;
+        allProducts = extracted.allProducts;
+        const { parsedCount: parsed, keptCount: kept } = extracted;
+        parsedCount = parsed;
+        keptCount = kept;
+      }
+
+      if (api && usesDefaultLanguage && captured.length > 0) {
+        const { matched, allProducts: fromJson } =
+          extractProductsFromCaptured(captured, adapter.baseUrl, filter);
+        if (
+          fromJson.length > 0 &&
+          fromJson.length >= Math.ceil(parsedCount / 2)
+        ) {
+          await api.learn(learnEndpoint(matched, { store }));
+        }
+      }
+    }
+
+    let languageStats = null;
+    if (language && allProducts) {
+      languageStats = await scrapeTranslations();
+    }
+
+    let enrichStats = null;
+    if (enrich && products.length > 0) {
+      enrichStats = await enrichProducts({
+        context,
+        items: products,
+        store,
+        cache: enrich.cache,
+        rateLimiter,
+        stock: enrich.stock,
+        maxItems: enrich.maxItems,
+      });
+    }
+
+    let selectorHealth = health?.report() ?? null;
+    if (selectorHealth && Object.keys(selectorHealth.chains).length === 0) {
+      selectorHealth = null;
+    }
+    if (selectorHealth) {
+      console.log(
+        `${tag} selectors store=${store.slug} ${formatSelectorHealth(selectorHealth)}`
+      );
+    }
+
+    await writeNetworkDebug(baseDir);
+    await writeOutput({
+      baseDir,
+      retailer: adapter.id,
+      languages,
+      store,
+      items: products,
+      stats: {
+        tiles: tilesCount,
+        parsedCount,
+        keptCount,
+        pagination,
+        selectorHealth,
+        enrich: enrichStats,
+        languages: languageStats,
+        session: sessionInfo,
+        durationMs: Date.now() - t0,
+      },
+      status,
+      blocked,
+      blockedBy,
+      blockedReason,
+      blockCheck,
+      selectedStore,
+      filter,
+      allItems: saveAll ? allProducts : null,
+      source,
+      meta: buildCaptureMeta(),
+    });
+
+    const ms = Date.now() - t0;
+    logStoreSummary({
+      tag,
+      slug: store.slug,
+      storeName: store.name,
+      tiles: tilesCount,
+      parsed: parsedCount,
+      kept: keptCount,
+      ms,
+    });
+    console.log(`${tag} END store=${store.slug}`);
+    return {
+      status,
+      blockedBy,
+      blockedReason,
+      count: products.length,
+      selectedStore,
+      source,
+    };
+  } catch (error) {
+    const ms = Date.now() - t0;
+    logStoreSummary({
+      tag,
+      slug: store.slug,
+      storeName: store.name,
+      tiles: tilesCount,
+      parsed: parsedCount,
+      kept: keptCount,
+      ms,
+      reason: error.message,
+    });
+    await writeNetworkDebug(baseDir);
+    const debug = { html: null, screenshot: null };
+    try {
+      debug.html = await page.content();
+      debug.screenshot = await page.screenshot({ fullPage: true });
+    } catch (debugError) {
+      // ignore debug capture errors
+    }
+    status = 'error';
+    await writeOutput({
+      baseDir,
+      retailer: adapter.id,
+      languages,
+      store,
+      items: products,
+      stats: {
+        tiles: tilesCount,
+        parsedCount,
+        keptCount,
+        session: sessionInfo,
+        durationMs: Date.now() - t0,
+      },
+      debug,
+      status,
+      blocked,
+      blockedBy,
+      blockedReason,
+      selectedStore,
+      meta: buildCaptureMeta(),
+    });
+    throw error;
+  } finally {
+    await saveSessionState(context, session, status, {
+      dropCookies: adapter.storeCookies,
+    }).catch((stateError) => {
+      console.log(`${tag} could not save session state: ${stateError.message}`);
+    });
+    await context.close();
+    if (!sharedBrowser) {
+      await browser.close();
+    }
+  }
+}
+
+export async function scrapeFromArgs(args, { adapter: fixed = null } = {}) {
+  const { filter, saveAll, positionals, values } = await parseFilterArgs(
+    args,
+    {
+      ...ENRICH_ARG_OPTIONS,
+      ...API_ARG_OPTIONS,
+      ...RETAILER_ARG_OPTIONS,
+      ...SESSION_ARG_OPTIONS,
+    }
+  );
+  const [storeSlug] = positionals;
+  if (!storeSlug) {
+    throw new Error(
+      'Usage: node scripts/scrape_store.mjs <store-slug> [--retailer id] [--lang fr,en] [--selectors file] [--sessions file] [--min-discount N] [--min-savings N] [--max-price N] [--include kw] [--exclude kw] [--filter-config file] [--save-all] [--enrich] [--enrich-max N] [--api off|auto]'
+    );
+  }
+  const adapter = fixed ?? retailerFromArgs(values);
+  const stores = JSON.parse(await fs.readFile(adapter.storesPath, 'utf-8'));
+  const store = stores.find((entry) => entry.slug === storeSlug);
+  if (!store) {
+    throw new Error(
+      `Store with slug ${storeSlug} not found in ${adapter.storesPath}`
+    );
+  }
+  const languages = languagesFromArgs(values, adapter) ?? undefined;
+  const selectors = await selectorsFromArgs(values, adapter);
+  const sessions = await sessionPoolFromArgs(values);
+  const enrich = await enrichFromArgs(values, adapter.dataDir);
+  const api = await apiFromArgs(values, adapter.dataDir);
+  await scrapeStore(store, {
+    filter,
+    saveAll,
+    enrich,
+    api,
+    adapter,
+    languages,
+    selectors,
+    session: sessions?.acquire() ?? null,
+  });
+}
+
+async function main() {
+  await scrapeFromArgs(process.argv.slice(2));
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
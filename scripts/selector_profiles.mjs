@@ -0,0 +1,261 @@
+import fs from 'node:fs/promises';
+import { firstMatchingSelector } from './page_helpers.mjs';
+
+export const TILE_FIELDS = {
+  name: 'name',
+  url: 'url',
+  image: 'image',
+  sku: 'sku',
+  price: 'regularPriceText',
+  salePrice: 'salePriceText',
+  brand: 'brand',
+  category: 'category',
+  department: 'department',
+  availability: 'availabilityText',
+  stock: 'stockText',
+  location: 'locationText',
+  unit: 'unitText',
+  promoEnd: 'promoEndText',
+};
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => typeof item === 'string' && item.trim())
+  );
+}
+
+function normalizeFieldEntry(entry, where) {
+  if (typeof entry === 'string' && entry.trim()) {
+    return { selector: entry };
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${where} entries must be selectors or objects.`);
+  }
+  const { selector = null, attr = null, prop = null, all = false } = entry;
+  if (selector != null && (typeof selector !== 'string' || !selector.trim())) {
+    throw new Error(`${where} has an empty "selector".`);
+  }
+  if (attr && prop) {
+    throw new Error(`${where} can read an "attr" or a "prop", not both.`);
+  }
+  if (all && (!selector || attr || prop)) {
+    throw new Error(`${where} uses "all" without a plain text selector.`);
+  }
+  if (!selector && !attr && !prop) {
+    throw new Error(`${where} needs a "selector", "attr" or "prop".`);
+  }
+  return { selector, attr, prop, all: Boolean(all) };
+}
+
+function normalizeChain(value, where) {
+  if (isStringList(value)) return value;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const entries = Object.entries(value);
+    if (entries.length > 0 && entries.every(([, list]) => isStringList(list))) {
+      return value;
+    }
+  }
+  throw new Error(
+    `${where} must be a list of selectors or an object of lists per language.`
+  );
+}
+
+export function normalizeSelectorProfile(raw, source = 'selector profile') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${source} must be a JSON object.`);
+  }
+  if (!isStringList(raw.tiles)) {
+    throw new Error(`${source}: "tiles" must list at least one selector.`);
+  }
+  const fields = {};
+  for (const [field, chain] of Object.entries(raw.fields ?? {})) {
+    if (!TILE_FIELDS[field]) {
+      throw new Error(
+        `${source}: unknown field "${field}" (known: ${Object.keys(TILE_FIELDS).join(', ')}).`
+      );
+    }
+    if (!Array.isArray(chain) || chain.length === 0) {
+      throw new Error(`${source}: fields.${field} must be a non-empty list.`);
+    }
+    fields[field] = chain.map((entry, index) =>
+      normalizeFieldEntry(entry, `${source}: fields.${field}[${index}]`)
+    );
+  }
+  const required = raw.required ?? [];
+  const unknownRequired = required.filter((field) => !fields[field]);
+  if (unknownRequired.length > 0) {
+    throw new Error(
+      `${source}: "required" names fields without selectors: ${unknownRequired.join(', ')}.`
+    );
+  }
+  const profile = {
+    name: raw.name ?? null,
+    version: raw.version ?? null,
+    tiles: raw.tiles,
+    fields,
+    required,
+  };
+  for (const [key, value] of Object.entries(raw)) {
+    if (key in profile) continue;
+    profile[key] = normalizeChain(value, `${source}: "${key}"`);
+  }
+  return profile;
+}
+
+export async function loadSelectorProfile(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `Could not read selector profile ${filePath}: ${error.message}`
+    );
+  }
+  return normalizeSelectorProfile(raw, `Selector profile ${filePath}`);
+}
+
+export function selectorChain(profile, key, language = null) {
+  const chain = profile[key];
+  if (!chain) return [];
+  if (Array.isArray(chain)) return chain;
+  const { any = [], ...byLanguage } = chain;
+  const languages = Object.keys(byLanguage);
+  const order = languages.includes(language)
+    ? [language, ...languages.filter((lang) => lang !== language)]
+    : languages;
+  return [...any, ...order.flatMap((lang) => byLanguage[lang])];
+}
+
+export function selectorLabel(entry) {
+  if (typeof entry === 'string') return entry;
+  const base = entry.selector ?? ':scope';
+  if (entry.attr) return `${base} @${entry.attr}`;
+  if (entry.prop) return `${base} .${entry.prop}`;
+  return entry.all ? `${base} (all)` : base;
+}
+
+export function createSelectorHealth(profile) {
+  const chains = {};
+  const entryFor = (chain) => {
+    chains[chain] ??= { attempts: 0, missed: 0, matched: {} };
+    return chains[chain];
+  };
+  const kindOf = (chain) => {
+    if (chain === 'tiles') return 'tiles';
+    return profile.fields[chain] ? 'field' : 'element';
+  };
+  const primaryFor = (chain) => {
+    if (chain === 'tiles') return profile.tiles[0];
+    if (profile.fields[chain]) return selectorLabel(profile.fields[chain][0]);
+    return selectorChain(profile, chain)[0] ?? null;
+  };
+  return {
+    hit(chain, selector) {
+      const entry = entryFor(chain);
+      entry.attempts += 1;
+      entry.matched[selector] = (entry.matched[selector] ?? 0) + 1;
+    },
+    miss(chain) {
+      const entry = entryFor(chain);
+      entry.attempts += 1;
+      entry.missed += 1;
+    },
+    report() {
+      const report = {};
+      for (const [chain, entry] of Object.entries(chains)) {
+        const primary = primaryFor(chain);
+        const primaryHits = entry.matched[primary] ?? 0;
+        report[chain] = {
+          kind: kindOf(chain),
+          ...entry,
+          primary,
+          fallbackHits: entry.attempts - entry.missed - primaryHits,
+          required: profile.required.includes(chain),
+        };
+      }
+      return {
+        profile: profile.name,
+        version: profile.version,
+        chains: report,
+      };
+    },
+  };
+}
+
+export async function readTilesWithProfile(page, profile, health = null) {
+  const { selector: matchedTiles } = await firstMatchingSelector(
+    page,
+    profile.tiles
+  );
+  if (!matchedTiles) {
+    health?.miss('tiles');
+    return [];
+  }
+  health?.hit('tiles', matchedTiles);
+
+  const rows = await page.$$eval(
+    matchedTiles,
+    (tiles, fields) =>
+      tiles.map((tile) => {
+        const read = ({ selector, attr, prop, all }) => {
+          if (all) {
+            return Array.from(tile.querySelectorAll(selector))
+              .map((element) => element.textContent?.trim())
+              .filter(Boolean)
+              .join(' | ');
+          }
+          const element = selector ? tile.querySelector(selector) : tile;
+          if (!element) return '';
+          if (attr) return element.getAttribute(attr)?.trim() || '';
+          if (prop) return String(element[prop] ?? '').trim();
+          return element.textContent?.trim() || '';
+        };
+        const values = {};
+        const hits = {};
+        for (const [field, chain] of Object.entries(fields)) {
+          values[field] = '';
+          hits[field] = null;
+          for (let index = 0; index < chain.length; index += 1) {
+            const value = read(chain[index]);
+            if (value) {
+              values[field] = value;
+              hits[field] = index;
+              break;
+            }
+          }
+        }
+        return { values, hits };
+      }),
+    profile.fields
+  );
+
+  return rows.map(({ values, hits }) => {
+    const tile = Object.fromEntries(
+      Object.values(TILE_FIELDS).map((key) => [key, ''])
+    );
+    for (const [field, value] of Object.entries(values)) {
+      tile[TILE_FIELDS[field]] = value;
+      if (hits[field] == null) {
+        health?.miss(field);
+      } else {
+        health?.hit(field, selectorLabel(profile.fields[field][hits[field]]));
+      }
+    }
+    return tile;
+  });
+}
+
+export function formatSelectorHealth(report) {
+  const { chains } = report;
+  const tiles = chains.tiles;
+  const tileMatch = tiles ? Object.keys(tiles.matched)[0] ?? 'none' : '-';
+  const empty = Object.entries(chains)
+    .filter(([, entry]) => entry.kind === 'field' && entry.missed > 0)
+    .map(([chain, entry]) => `${chain}:${entry.missed}/${entry.attempts}`);
+  const fallbacks = Object.entries(chains)
+    .filter(([, entry]) => entry.fallbackHits > 0)
+    .map(([chain]) => chain);
+  return `tiles="${tileMatch}" empty=${empty.join(',') || '-'} fallbacks=${fallbacks.join(',') || '-'}`;
+}
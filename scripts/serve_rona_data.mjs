@@ -0,0 +1,235 @@
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { matchesFilter, normalizeFilter } from './rona_filters.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+const STORES_PATH = 'stores.json';
+const DASHBOARD_PATH = new URL('./dashboard/index.html', import.meta.url);
+const RELOAD_INTERVAL_MS = 30000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const SORTS = {
+  savings: (a, b) => (b.savings ?? -1) - (a.savings ?? -1),
+  discount: (a, b) => (b.discountPct ?? -1) - (a.discountPct ?? -1),
+  price: (a, b) => (a.salePrice ?? Infinity) - (b.salePrice ?? Infinity),
+  name: (a, b) => String(a.name).localeCompare(String(b.name), 'fr'),
+};
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function savingsOf(item) {
+  if (!Number.isFinite(item.regularPrice) || !Number.isFinite(item.salePrice)) {
+    return null;
+  }
+  return Number((item.regularPrice - item.salePrice).toFixed(2));
+}
+
+export async function loadDataset(dataDir, storesPath = STORES_PATH) {
+  const storeList = (await readJsonIfExists(storesPath)) ?? [];
+  const storeInfo = new Map(storeList.map((store) => [store.slug, store]));
+  const stores = [];
+  const items = [];
+
+  const entries = await fs.readdir(dataDir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    let data;
+    try {
+      data = await readJsonIfExists(
+        path.join(dataDir, entry.name, 'data.json')
+      );
+    } catch (error) {
+      console.error(`[rona] skipping ${entry.name}: ${error.message}`);
+      continue;
+    }
+    if (!data?.store?.slug) continue;
+    const info = storeInfo.get(data.store.slug) ?? {};
+    const store = {
+      slug: data.store.slug,
+      name: data.store.name || data.store.slug,
+      id: data.store.id ?? null,
+      region: info.region ?? null,
+      city: info.city ?? info.locationQuery ?? null,
+      status: data.status,
+      scrapedAt: data.scrapedAt,
+      count: data.count ?? 0,
+      blockedBy: data.blockedBy ?? null,
+      blockedReason: data.blockedReason ?? null,
+    };
+    stores.push(store);
+    if (data.status !== 'scraped' || !Array.isArray(data.items)) continue;
+    for (const item of data.items) {
+      items.push({
+        ...item,
+        savings: savingsOf(item),
+        store: { slug: store.slug, name: store.name, region: store.region },
+      });
+    }
+  }
+  stores.sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  return { loadedAt: new Date().toISOString(), stores, items };
+}
+
+function toNumberParam(params, name) {
+  const raw = params.get(name);
+  if (raw == null || raw === '') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${name} must be a number, got "${raw}"`);
+  }
+  return value;
+}
+
+export function queryItems(dataset, params) {
+  const storeSlugs = params.getAll('store').filter(Boolean);
+  const region = params.get('region')?.toLowerCase() || null;
+  const minPrice = toNumberParam(params, 'minPrice');
+  const filter = normalizeFilter({
+    minDiscountPct: toNumberParam(params, 'minDiscount'),
+    maxSalePrice: toNumberParam(params, 'maxPrice'),
+    minSavings: toNumberParam(params, 'minSavings'),
+    include: params.get('q') || [],
+  });
+  const sort = params.get('sort') || 'savings';
+  if (!SORTS[sort]) {
+    throw new Error(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+  }
+  const limit = Math.min(
+    toNumberParam(params, 'limit') ?? DEFAULT_LIMIT,
+    MAX_LIMIT
+  );
+  const offset = toNumberParam(params, 'offset') ?? 0;
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error('limit must be a non-negative integer');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+
+  const matched = dataset.items.filter((item) => {
+    if (storeSlugs.length && !storeSlugs.includes(item.store.slug)) {
+      return false;
+    }
+    if (region && item.store.region?.toLowerCase() !== region) return false;
+    if (minPrice != null) {
+      if (!Number.isFinite(item.salePrice) || item.salePrice < minPrice) {
+        return false;
+      }
+    }
+    return matchesFilter(item, filter);
+  });
+  matched.sort(SORTS[sort]);
+  return {
+    total: matched.length,
+    offset,
+    limit,
+    items: matched.slice(offset, offset + limit),
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'content-type': 'application/json; charset=utf-8',
+    'cache-control': 'no-store',
+  });
+  res.end(JSON.stringify(body));
+}
+
+export function createDashboardServer({
+  dataDir = DATA_DIR,
+  storesPath = STORES_PATH,
+  reloadIntervalMs = RELOAD_INTERVAL_MS,
+} = {}) {
+  let datasetPromise = null;
+  let loadedAtMs = 0;
+
+  function getDataset() {
+    if (!datasetPromise || Date.now() - loadedAtMs > reloadIntervalMs) {
+      loadedAtMs = Date.now();
+      datasetPromise = loadDataset(dataDir, storesPath);
+      datasetPromise.catch(() => {
+        datasetPromise = null;
+      });
+    }
+    return datasetPromise;
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      if (url.pathname === '/' || url.pathname === '/index.html') {
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        res.end(await fs.readFile(DASHBOARD_PATH));
+        return;
+      }
+      if (url.pathname === '/api/stores') {
+        const dataset = await getDataset();
+        const region = url.searchParams.get('region')?.toLowerCase();
+        const status = url.searchParams.get('status');
+        sendJson(res, 200, {
+          loadedAt: dataset.loadedAt,
+          stores: dataset.stores.filter(
+            (store) =>
+              (!region || store.region?.toLowerCase() === region) &&
+              (!status || store.status === status)
+          ),
+        });
+        return;
+      }
+      if (url.pathname === '/api/items') {
+        const dataset = await getDataset();
+        let result;
+        try {
+          result = queryItems(dataset, url.searchParams);
+        } catch (error) {
+          sendJson(res, 400, { error: error.message });
+          return;
+        }
+        sendJson(res, 200, { loadedAt: dataset.loadedAt, ...result });
+        return;
+      }
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      console.error(`[rona] serve error url=${req.url}`, error);
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+  const [dataDir = DATA_DIR] = positionals;
+  const port = Number.parseInt(values.port ?? '8080', 10);
+  const host = values.host ?? '127.0.0.1';
+  const server = createDashboardServer({ dataDir });
+  server.listen(port, host, () => {
+    console.log(`[rona] serving ${dataDir} at http://${host}:${port}/`);
+  });
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
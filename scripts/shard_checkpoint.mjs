@@ -0,0 +1,53 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export async function loadCheckpoint(
+  checkpointPath,
+  { shardIndex, totalShards }
+) {
+  try {
+    const checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf8'));
+    if (
+      checkpoint.totalShards === totalShards &&
+      checkpoint.shardIndex === shardIndex
+    ) {
+      return checkpoint;
+    }
+    console.log(
+      `[rona] ignoring checkpoint for shard ${checkpoint.shardIndex}/${checkpoint.totalShards}`
+    );
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return { shardIndex, totalShards, stores: {} };
+}
+
+export function isFreshSuccess(entry, maxAgeMs, now = Date.now()) {
+  if (entry?.status !== 'scraped' || !entry.finishedAt) return false;
+  return now - Date.parse(entry.finishedAt) <= maxAgeMs;
+}
+
+export function createCheckpointWriter(checkpointPath, checkpoint) {
+  let pending = Promise.resolve();
+  return {
+    record(slug, entry) {
+      checkpoint.stores[slug] = entry;
+      checkpoint.updatedAt = new Date().toISOString();
+      const snapshot = JSON.stringify(checkpoint, null, 2);
+      pending = pending.then(async () => {
+        try {
+          await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+          await fs.writeFile(checkpointPath, snapshot, 'utf8');
+        } catch (error) {
+          console.log(
+            `[rona] checkpoint write failed path=${checkpointPath} error="${error.message}"`
+          );
+        }
+      });
+      return pending;
+    },
+    flush() {
+      return pending;
+    },
+  };
+}
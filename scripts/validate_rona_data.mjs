@@ -0,0 +1,378 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { ITEM_FIELDS, computeDiscountPct } from './rona_parsing.mjs';
+import { itemKey, sameFilter } from './rona_history.mjs';
+
+const DATA_DIR = path.join('data', 'rona');
+const STATUSES = ['scraped', 'blocked', 'error'];
+const NUMERIC_FIELDS = [
+  'regularPrice',
+  'salePrice',
+  'discountPct',
+  'stockQuantity',
+];
+const MAX_SAMPLES = 5;
+
+export const DEFAULT_THRESHOLDS = {
+  maxDiscountPct: 90,
+  countDropRatio: 0.5,
+  countDropMinPrevious: 10,
+  maxEmptyFieldRatio: 0.5,
+};
+
+function createCollector() {
+  const byCode = new Map();
+  return {
+    add(code, severity, message, sample = null) {
+      let entry = byCode.get(code);
+      if (!entry) {
+        entry = { code, severity, message, count: 0, samples: [] };
+        byCode.set(code, entry);
+      }
+      entry.count += 1;
+      if (sample && entry.samples.length < MAX_SAMPLES) {
+        entry.samples.push(sample);
+      }
+    },
+    list() {
+      return [...byCode.values()];
+    },
+  };
+}
+
+function itemSample(item) {
+  return {
+    sku: item?.sku ?? null,
+    url: item?.url ?? null,
+    regularPrice: item?.regularPrice ?? null,
+    salePrice: item?.salePrice ?? null,
+    discountPct: item?.discountPct ?? null,
+  };
+}
+
+function previousRunCount(history, { scrapedAt, filter }) {
+  const runs = (history?.runs ?? []).filter(
+    (run) => run.scrapedAt !== scrapedAt
+  );
+  const previous = runs.at(-1);
+  if (!previous) return null;
+  if ('filter' in previous && !sameFilter(previous.filter, filter)) {
+    return null;
+  }
+  return previous.count ?? null;
+}
+
+function checkSchema(data, anomalies) {
+  if (!Number.isInteger(data?.schemaVersion)) {
+    anomalies.add('schema-version', 'error', 'schemaVersion is missing');
+  }
+  if (typeof data?.store?.slug !== 'string' || !data.store.slug) {
+    anomalies.add('schema-store', 'error', 'store.slug is missing');
+  }
+  if (!STATUSES.includes(data?.status)) {
+    anomalies.add('schema-status', 'error', `unknown status "${data?.status}"`);
+  }
+  if (Number.isNaN(Date.parse(data?.scrapedAt))) {
+    anomalies.add('schema-scraped-at', 'error', 'scrapedAt is not a date');
+  }
+  if (!Array.isArray(data?.items)) {
+    anomalies.add('schema-items', 'error', 'items is not an array');
+    return false;
+  }
+  if (data.count !== data.items.length) {
+    anomalies.add(
+      'schema-count',
+      'error',
+      `count ${data.count} does not match ${data.items.length} items`
+    );
+  }
+  return true;
+}
+
+function checkItem(item, thresholds, anomalies) {
+  const missing = ITEM_FIELDS.filter((field) => !(field in item));
+  if (missing.length > 0) {
+    anomalies.add('schema-item-fields', 'error', 'items are missing fields', {
+      ...itemSample(item),
+      missing,
+    });
+  }
+  if (typeof item.name !== 'string' || !item.name.trim()) {
+    anomalies.add('item-name', 'error', 'item has no name', itemSample(item));
+  }
+  if (typeof item.url !== 'string' || !/^https?:\/\//.test(item.url)) {
+    anomalies.add(
+      'item-url',
+      'error',
+      'item url is not absolute',
+      itemSample(item)
+    );
+  }
+  for (const field of NUMERIC_FIELDS) {
+    const value = item[field];
+    if (value != null && !Number.isFinite(value)) {
+      anomalies.add(
+        'schema-item-type',
+        'error',
+        'numeric fields hold non-numbers',
+        { ...itemSample(item), field }
+      );
+    }
+  }
+
+  const { regularPrice, salePrice, discountPct } = item;
+  if (salePrice == null) {
+    anomalies.add(
+      'price-missing',
+      'warning',
+      'item has no sale price',
+      itemSample(item)
+    );
+  } else if (salePrice <= 0 || (regularPrice != null && regularPrice <= 0)) {
+    anomalies.add(
+      'price-non-positive',
+      'error',
+      'prices must be greater than zero',
+      itemSample(item)
+    );
+  } else if (regularPrice != null && salePrice >= regularPrice) {
+    anomalies.add(
+      'price-sale-not-below-regular',
+      'error',
+      'sale price is not below the regular price',
+      itemSample(item)
+    );
+  }
+  if (discountPct != null) {
+    if (discountPct > thresholds.maxDiscountPct) {
+      anomalies.add(
+        'discount-suspicious',
+        'warning',
+        `discount above ${thresholds.maxDiscountPct}%`,
+        itemSample(item)
+      );
+    }
+    const expected = computeDiscountPct(regularPrice, salePrice);
+    if (expected != null && Math.abs(expected - discountPct) > 1) {
+      anomalies.add(
+        'discount-mismatch',
+        'error',
+        'discountPct does not match the prices',
+        { ...itemSample(item), expected }
+      );
+    }
+  }
+}
+
+export function validateStoreData(
+  data,
+  { history = null, thresholds = DEFAULT_THRESHOLDS } = {}
+) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const anomalies = createCollector();
+  const hasItems = checkSchema(data, anomalies);
+
+  if (hasItems && data.status === 'scraped') {
+    const seen = new Set();
+    for (const item of data.items) {
+      checkItem(item ?? {}, limits, anomalies);
+      const key = itemKey(item);
+      if (seen.has(key)) {
+        anomalies.add(
+          'duplicate-item',
+          'error',
+          'the same product appears more than once',
+          { ...itemSample(item), key }
+        );
+      }
+      seen.add(key);
+    }
+
+    if (data.count === 0 && (data.stats?.tiles ?? 0) === 0) {
+      anomalies.add(
+        'empty-page',
+        'error',
+        'the clearance page showed no product tiles'
+      );
+    } else if (data.stats?.parsedCount === 0) {
+      anomalies.add(
+        'no-products-parsed',
+        'warning',
+        `no products parsed from ${data.stats.tiles ?? 0} tiles`
+      );
+    }
+
+    const pagination = data.stats?.pagination;
+    if (pagination?.truncated) {
+      anomalies.add(
+        'pagination-truncated',
+        'warning',
+        `pagination stopped early (${pagination.truncatedReason}): collected ${pagination.collected} of ${pagination.advertised ?? 'unknown'} advertised`
+      );
+    }
+
+    const chains = data.stats?.selectorHealth?.chains ?? {};
+    for (const [field, entry] of Object.entries(chains)) {
+      if (entry.kind !== 'field' || !entry.required || !entry.attempts) {
+        continue;
+      }
+      if (entry.missed / entry.attempts > limits.maxEmptyFieldRatio) {
+        anomalies.add(
+          'selector-field-empty',
+          'warning',
+          'a required field came back empty on most tiles',
+          { field, missed: entry.missed, attempts: entry.attempts }
+        );
+      } else if (entry.fallbackHits > 0 && !entry.matched[entry.primary]) {
+        anomalies.add(
+          'selector-fallback',
+          'warning',
+          'a required field only matched fallback selectors',
+          { field, primary: entry.primary, matched: Object.keys(entry.matched) }
+        );
+      }
+    }
+
+    const previous = previousRunCount(history, data);
+    if (
+      previous != null &&
+      previous >= limits.countDropMinPrevious &&
+      data.count < previous * (1 - limits.countDropRatio)
+    ) {
+      anomalies.add(
+        'count-drop',
+        'error',
+        `item count fell from ${previous} to ${data.count}`
+      );
+    }
+  }
+
+  const list = anomalies.list();
+  return {
+    slug: data?.store?.slug ?? null,
+    status: data?.status ?? null,
+    scrapedAt: data?.scrapedAt ?? null,
+    count: data?.count ?? null,
+    errors: list.filter((entry) => entry.severity === 'error').length,
+    warnings: list.filter((entry) => entry.severity === 'warning').length,
+    anomalies: list,
+  };
+}
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function validateDataDir(
+  dataDir,
+  { slugs = null, thresholds = DEFAULT_THRESHOLDS } = {}
+) {
+  const entries = await fs.readdir(dataDir, { withFileTypes: true });
+  const stores = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    if (slugs && !slugs.includes(entry.name)) continue;
+    const baseDir = path.join(dataDir, entry.name);
+    let data;
+    try {
+      data = await readJsonIfExists(path.join(baseDir, 'data.json'));
+    } catch (error) {
+      stores.push({
+        slug: entry.name,
+        status: null,
+        errors: 1,
+        warnings: 0,
+        anomalies: [
+          {
+            code: 'schema-json',
+            severity: 'error',
+            message: error.message,
+            count: 1,
+            samples: [],
+          },
+        ],
+      });
+      continue;
+    }
+    if (!data) continue;
+    const history = await readJsonIfExists(
+      path.join(baseDir, 'history.json')
+    ).catch(() => null);
+    stores.push(validateStoreData(data, { history, thresholds }));
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    storesChecked: stores.length,
+    storesWithErrors: stores.filter((store) => store.errors > 0).length,
+    storesWithWarnings: stores.filter((store) => store.warnings > 0).length,
+    storesWithProducts: stores.filter(
+      (store) => store.status === 'scraped' && store.count > 0
+    ).length,
+    stores,
+  };
+}
+
+export function validationFailure(report, maxErrorStores) {
+  if (maxErrorStores == null) return null;
+  if (report.storesWithErrors > maxErrorStores) {
+    return `${report.storesWithErrors} stores with errors (max ${maxErrorStores})`;
+  }
+  if (report.storesChecked > 0 && !report.storesWithProducts) {
+    return `none of the ${report.storesChecked} stores produced products`;
+  }
+  return null;
+}
+
+export function logValidationReport(report) {
+  for (const store of report.stores) {
+    for (const anomaly of store.anomalies) {
+      console.log(
+        `[rona] ${anomaly.severity} store=${store.slug} code=${anomaly.code} count=${anomaly.count} message="${anomaly.message}"`
+      );
+    }
+  }
+  console.log(
+    `[rona] validation stores=${report.storesChecked} withErrors=${report.storesWithErrors} withWarnings=${report.storesWithWarnings}`
+  );
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: { 'max-error-stores': { type: 'string' } },
+    allowPositionals: true,
+  });
+  const [dataDir = DATA_DIR] = positionals;
+  const maxErrorStores = values['max-error-stores'];
+  if (maxErrorStores != null && !/^\d+$/.test(maxErrorStores)) {
+    throw new Error('--max-error-stores must be a non-negative integer.');
+  }
+
+  const report = await validateDataDir(dataDir);
+  const reportPath = path.join(dataDir, 'validation.json');
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  logValidationReport(report);
+  console.log(`[rona] wrote ${reportPath}`);
+  const failure = validationFailure(
+    report,
+    maxErrorStores != null ? Number.parseInt(maxErrorStores, 10) : null
+  );
+  if (failure) {
+    console.error(`[rona] validation failed: ${failure}`);
+    process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { classifyBlock, detectBlock } from '../scripts/block_detection.mjs';
+
+const CLEARANCE = 'https://www.rona.ca/fr/promotions/liquidation';
+
+function signals(overrides = {}) {
+  return {
+    status: 200,
+    requestedUrl: CLEARANCE,
+    finalUrl: CLEARANCE,
+    redirects: [],
+    title: 'Liquidation | RONA',
+    headers: { server: 'cloudflare' },
+    vendor: 'cloudflare',
+    challengeElements: [],
+    textLength: 5000,
+    textSample: 'Liquidation Perceuse 18 V 49,99 $',
+    tileCount: null,
+    ...overrides,
+  };
+}
+
+test('classifyBlock treats a normal page behind a CDN as ok', () => {
+  const result = classifyBlock(signals({ tileCount: 24 }));
+  assert.equal(result.verdict, 'ok');
+  assert.equal(result.blocked, false);
+  assert.equal(result.vendor, null);
+  assert.equal(result.confidence, 1);
+});
+
+test('classifyBlock recognises challenges from status, header and markup', () => {
+  const result = classifyBlock(
+    signals({
+      status: 403,
+      title: 'Just a moment...',
+      headers: { server: 'cloudflare', 'cf-mitigated': 'challenge' },
+      challengeElements: ['#challenge-form'],
+      textLength: 80,
+    })
+  );
+  assert.equal(result.verdict, 'challenge');
+  assert.equal(result.blocked, true);
+  assert.equal(result.vendor, 'cloudflare');
+  assert.equal(result.confidence, 1);
+  assert.ok(result.reasons.includes('header:cf-mitigated'));
+  assert.ok(result.reasons.includes('dom:challenge-element'));
+});
+
+test('classifyBlock separates rate limits, geo blocks and maintenance', () => {
+  const limited = classifyBlock(
+    signals({
+      status: 429,
+      headers: { 'retry-after': '120' },
+      title: 'Too Many Requests',
+    })
+  );
+  assert.equal(limited.verdict, 'rate-limited');
+  assert.equal(limited.blocked, true);
+
+  const geo = classifyBlock(signals({ status: 451, title: 'Unavailable' }));
+  assert.equal(geo.verdict, 'geo-blocked');
+
+  const maintenance = classifyBlock(
+    signals({
+      status: 503,
+      title: 'Site en maintenance',
+      finalUrl: 'https://www.rona.ca/maintenance',
+    })
+  );
+  assert.equal(maintenance.verdict, 'maintenance');
+  assert.deepEqual(maintenance.reasons, [
+    'status:503',
+    'title:maintenance',
+    'url:error-page',
+  ]);
+  assert.deepEqual(maintenance.signals.redirects, []);
+});
+
+test('classifyBlock tells an empty clearance page from an empty shell', () => {
+  const empty = classifyBlock(
+    signals({
+      tileCount: 0,
+      textSample: 'Liquidation Aucun produit ne correspond à votre recherche',
+    })
+  );
+  assert.equal(empty.verdict, 'empty-but-ok');
+  assert.equal(empty.blocked, false);
+  assert.equal(empty.vendor, null);
+
+  const shell = classifyBlock(
+    signals({ tileCount: 0, textLength: 12, textSample: 'Chargement' })
+  );
+  assert.equal(shell.verdict, 'challenge');
+  assert.equal(shell.blocked, true);
+  assert.equal(shell.confidence, 0.5);
+});
+
+test('classifyBlock blocks bare error statuses that return no tiles', () => {
+  const forbidden = classifyBlock(
+    signals({
+      status: 403,
+      title: '',
+      textLength: 9,
+      textSample: 'Forbidden',
+      tileCount: 0,
+    })
+  );
+  assert.equal(forbidden.verdict, 'challenge');
+  assert.equal(forbidden.blocked, true);
+  assert.deepEqual(forbidden.reasons, ['status:403', 'tiles:0+status:403']);
+
+  const unavailable = classifyBlock(
+    signals({ status: 503, title: '', textSample: '', tileCount: 0 })
+  );
+  assert.equal(unavailable.verdict, 'maintenance');
+  assert.equal(unavailable.blocked, true);
+
+  const limited = classifyBlock(signals({ status: 429, tileCount: 0 }));
+  assert.equal(limited.verdict, 'rate-limited');
+
+  const tilesShown = classifyBlock(signals({ status: 403, tileCount: 12 }));
+  assert.equal(tilesShown.verdict, 'ok');
+});
+
+test('detectBlock collects signals from the page and response', async () => {
+  const page = {
+    url: () => 'https://www.rona.ca/cdn-cgi/challenge-platform/h/b',
+    title: async () => 'Attention Required! | Cloudflare',
+    evaluate: async (_, candidates) => ({
+      found: candidates.filter(({ selector }) => selector === '#cf-wrapper'),
+      textLength: 300,
+      textSample: 'Please enable cookies.',
+    }),
+  };
+  const original = { url: () => CLEARANCE, redirectedFrom: () => null };
+  const response = {
+    status: () => 403,
+    headers: () => ({ server: 'cloudflare', 'cf-ray': 'abc' }),
+    request: () => ({ redirectedFrom: () => original }),
+  };
+  const result = await detectBlock(page, response, {
+    requestedUrl: CLEARANCE,
+  });
+  assert.equal(result.verdict, 'challenge');
+  assert.equal(result.vendor, 'cloudflare');
+  assert.deepEqual(result.signals.redirects, [CLEARANCE]);
+  assert.deepEqual(result.signals.challengeElements, ['#cf-wrapper']);
+});
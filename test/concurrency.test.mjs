@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  backoffDelay,
+  createHostRateLimiter,
+  runPool,
+  sleep,
+} from '../scripts/concurrency.mjs';
+
+test('runPool never runs more than the concurrency limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const seen = [];
+  await runPool([1, 2, 3, 4, 5, 6, 7], 3, async (item, index, workerId) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await sleep(5 + (item % 3) * 5);
+    seen.push([item, index]);
+    assert.ok(workerId < 3);
+    running -= 1;
+  });
+  assert.equal(peak, 3);
+  assert.deepEqual(
+    seen.map(([item]) => item).sort((a, b) => a - b),
+    [1, 2, 3, 4, 5, 6, 7]
+  );
+  assert.ok(seen.every(([item, index]) => index === item - 1));
+
+  let calls = 0;
+  await runPool([], 4, async () => {
+    calls += 1;
+  });
+  assert.equal(calls, 0);
+});
+
+test('runPool finishes the other items before rethrowing a failure', async () => {
+  const done = [];
+  await assert.rejects(
+    runPool(['a', 'boom', 'b', 'c', 'd'], 2, async (item) => {
+      await sleep(5);
+      if (item === 'boom') throw new Error('boom');
+      done.push(item);
+    }),
+    /boom/
+  );
+  assert.deepEqual(done.sort(), ['a', 'b', 'c', 'd']);
+});
+
+test('createHostRateLimiter spaces requests per host', async () => {
+  const limiter = createHostRateLimiter({ minIntervalMs: 40 });
+  const started = Date.now();
+  const finished = {};
+  await Promise.all(
+    [
+      ['rona-1', 'https://www.rona.ca/a'],
+      ['rona-2', 'https://www.rona.ca/b'],
+      ['rona-3', 'https://www.rona.ca/c'],
+      ['other', 'https://api.example.test/x'],
+    ].map(async ([name, url]) => {
+      await limiter.wait(url);
+      finished[name] = Date.now() - started;
+    })
+  );
+  assert.ok(finished['rona-1'] < 30);
+  assert.ok(finished.other < 30);
+  assert.ok(finished['rona-2'] >= 35);
+  assert.ok(finished['rona-3'] >= 75);
+
+  const unlimited = createHostRateLimiter();
+  const before = Date.now();
+  await unlimited.wait('https://www.rona.ca/a');
+  await unlimited.wait('https://www.rona.ca/a');
+  assert.ok(Date.now() - before < 30);
+});
+
+test('backoffDelay grows exponentially with bounded jitter', () => {
+  for (let attempt = 1; attempt <= 4; attempt += 1) {
+    const delay = backoffDelay(1000, attempt);
+    const base = 1000 * 2 ** (attempt - 1);
+    assert.ok(delay >= base && delay <= base + 250);
+  }
+  assert.equal(backoffDelay(1000, 20, 5000), 5000);
+});
@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  exportToSqlite,
+  openDatabase,
+} from '../scripts/export_rona_sqlite.mjs';
+import { applyRun } from '../scripts/rona_history.mjs';
+import {
+  STORE,
+  makeData,
+  makeItem as makeBaseItem,
+  writeStoreData,
+} from './helpers/store_data.mjs';
+
+function makeItem(overrides = {}) {
+  return makeBaseItem({
+    image: '',
+    availability: 'in-stock',
+    stockQuantity: 4,
+    aisle: '12',
+    bay: '3',
+    brand: 'DeWalt',
+    category: 'Outils',
+    ...overrides,
+  });
+}
+
+async function writeRun(dataDir, scrapedAt, items, history) {
+  const next = applyRun(history, { store: STORE, items, scrapedAt }).history;
+  await writeStoreData(dataDir, makeData(items, { scrapedAt }), next);
+  return next;
+}
+
+function query(db, sql) {
+  const [result] = db.exec(sql);
+  return result ? result.values : [];
+}
+
+test('exportToSqlite loads stores, runs, items and observations idempotently', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-sqlite-'));
+  const dbPath = path.join(dataDir, 'rona.sqlite');
+  try {
+    const history = await writeRun(dataDir, '2025-03-01T10:00:00.000Z', [
+      makeItem(),
+      makeItem({ sku: '', url: 'https://www.rona.ca/fr/produit/scie' }),
+    ]);
+    await fs.mkdir(path.join(dataDir, 'shard-1'));
+    await fs.writeFile(
+      path.join(dataDir, 'shard-1', 'summary.json'),
+      JSON.stringify({
+        shardIndex: 1,
+        totalShards: 4,
+        storesTotal: 1,
+        storesOk: 1,
+        storesBlocked: 0,
+        storesError: 0,
+        storesSkipped: 0,
+        blockedReasons: {},
+        timestamp: '2025-03-01T10:05:00.000Z',
+      })
+    );
+
+    await exportToSqlite({ dataDir, dbPath });
+    await exportToSqlite({ dataDir, dbPath });
+    let db = await openDatabase(dbPath);
+    assert.deepEqual(query(db, 'SELECT COUNT(*) FROM runs'), [[1]]);
+    assert.deepEqual(query(db, 'SELECT COUNT(*) FROM price_observations'), [
+      [2],
+    ]);
+    assert.deepEqual(
+      query(db, 'SELECT key, brand FROM items ORDER BY key'),
+      [
+        ['sku:12345', 'DeWalt'],
+        ['url:https://www.rona.ca/fr/produit/scie', 'DeWalt'],
+      ]
+    );
+    assert.deepEqual(
+      query(db, 'SELECT shard_index, stores_ok FROM shard_runs'),
+      [[1, 1]]
+    );
+    db.close();
+
+    await writeRun(
+      dataDir,
+      '2025-03-02T10:00:00.000Z',
+      [makeItem({ salePrice: 30, discountPct: 70, stockQuantity: 2 })],
+      history
+    );
+    await exportToSqlite({ dataDir, dbPath });
+    db = await openDatabase(dbPath);
+    assert.deepEqual(
+      query(
+        db,
+        'SELECT scraped_at, item_count, source FROM runs ORDER BY scraped_at'
+      ),
+      [
+        ['2025-03-01T10:00:00.000Z', 2, 'browser'],
+        ['2025-03-02T10:00:00.000Z', 1, 'browser'],
+      ]
+    );
+    assert.deepEqual(
+      query(
+        db,
+        `SELECT observed_at, sale_price, stock_quantity FROM price_observations
+         WHERE item_key = 'sku:12345' ORDER BY observed_at`
+      ),
+      [
+        ['2025-03-01T10:00:00.000Z', 40, 4],
+        ['2025-03-02T10:00:00.000Z', 30, 2],
+      ]
+    );
+    assert.deepEqual(
+      query(
+        db,
+        "SELECT first_seen, last_seen FROM items WHERE key = 'sku:12345'"
+      ),
+      [['2025-03-01T10:00:00.000Z', '2025-03-02T10:00:00.000Z']]
+    );
+    assert.deepEqual(
+      query(db, 'SELECT last_scraped_at, last_status FROM stores'),
+      [['2025-03-02T10:00:00.000Z', 'scraped']]
+    );
+    db.close();
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('exportToSqlite drops url-keyed rows once history moves them to a SKU', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-sqlite-'));
+  const dbPath = path.join(dataDir, 'rona.sqlite');
+  const url = 'https://www.rona.ca/fr/produit/scie';
+  try {
+    const history = await writeRun(dataDir, '2025-03-01T10:00:00.000Z', [
+      makeItem({ sku: '', url }),
+    ]);
+    await exportToSqlite({ dataDir, dbPath });
+    await writeRun(
+      dataDir,
+      '2025-03-02T10:00:00.000Z',
+      [makeItem({ sku: '777', url, salePrice: 30 })],
+      history
+    );
+    await exportToSqlite({ dataDir, dbPath });
+
+    const db = await openDatabase(dbPath);
+    assert.deepEqual(query(db, 'SELECT key FROM items'), [['sku:777']]);
+    assert.deepEqual(
+      query(
+        db,
+        `SELECT item_key, observed_at, sale_price FROM price_observations
+         ORDER BY observed_at`
+      ),
+      [
+        ['sku:777', '2025-03-01T10:00:00.000Z', 40],
+        ['sku:777', '2025-03-02T10:00:00.000Z', 30],
+      ]
+    );
+    db.close();
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,50 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ITEM_FIELDS } from '../../scripts/rona_parsing.mjs';
+
+export const STORE = { slug: 'rona-laval', name: 'RONA Laval', id: 61234 };
+
+export function makeItem(overrides = {}) {
+  const item = Object.fromEntries(ITEM_FIELDS.map((field) => [field, null]));
+  return {
+    ...item,
+    name: 'Perceuse',
+    url: 'https://www.rona.ca/fr/produit/perceuse-12345',
+    sku: '12345',
+    regularPrice: 100,
+    salePrice: 40,
+    discountPct: 60,
+    ...overrides,
+  };
+}
+
+export function makeData(items, overrides = {}) {
+  return {
+    schemaVersion: 4,
+    store: STORE,
+    scrapedAt: '2025-03-02T10:00:00.000Z',
+    source: 'browser',
+    status: 'scraped',
+    blocked: false,
+    count: items.length,
+    items,
+    stats: {
+      tiles: items.length,
+      parsedCount: items.length,
+      keptCount: items.length,
+    },
+    ...overrides,
+  };
+}
+
+export async function writeStoreData(dataDir, data, history = null) {
+  const baseDir = path.join(dataDir, data.store.slug);
+  await fs.mkdir(baseDir, { recursive: true });
+  await fs.writeFile(path.join(baseDir, 'data.json'), JSON.stringify(data));
+  if (history) {
+    await fs.writeFile(
+      path.join(baseDir, 'history.json'),
+      JSON.stringify(history)
+    );
+  }
+}
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { mergeCatalogue } from '../scripts/merge_rona_catalogue.mjs';
+import { makeData, makeItem } from './helpers/store_data.mjs';
+
+function storeData(slug, items, overrides = {}) {
+  return makeData(items, {
+    store: { slug, name: slug, id: null },
+    ...overrides,
+  });
+}
+
+function offer(sku, salePrice) {
+  return makeItem({
+    sku,
+    name: `Produit ${sku}`,
+    url: `https://www.rona.ca/fr/produit/${sku}`,
+    salePrice,
+    discountPct: 100 - salePrice,
+  });
+}
+
+test('mergeCatalogue groups offers by item and ranks by price spread', () => {
+  const catalogue = mergeCatalogue([
+    storeData('rona-laval', [offer('1', 40), offer('2', 30), offer('1', 10)]),
+    storeData('rona-quebec', [offer('1', 25), offer('3', 50)]),
+    storeData('rona-levis', [offer('1', 25), offer('2', null)]),
+    storeData('rona-gatineau', [offer('1', 1)], { status: 'blocked' }),
+    null,
+  ]);
+  assert.equal(catalogue.storesMerged, 3);
+  assert.equal(catalogue.count, 3);
+  assert.deepEqual(
+    catalogue.items.map((item) => [item.sku, item.storeCount, item.spread]),
+    [
+      ['1', 3, 15],
+      ['2', 2, 0],
+      ['3', 1, 0],
+    ]
+  );
+  const [drill] = catalogue.items;
+  assert.equal(drill.lowestPrice, 25);
+  assert.equal(drill.highestPrice, 40);
+  assert.deepEqual(drill.cheapestStores, ['rona-quebec', 'rona-levis']);
+  assert.deepEqual(
+    drill.stores.map((store) => [store.slug, store.salePrice]),
+    [
+      ['rona-quebec', 25],
+      ['rona-levis', 25],
+      ['rona-laval', 40],
+    ]
+  );
+  assert.deepEqual(
+    catalogue.items[1].stores.map((store) => store.salePrice),
+    [30, null]
+  );
+});
+
+test('mergeCatalogue keys items without a SKU by URL', () => {
+  const catalogue = mergeCatalogue([
+    storeData('rona-laval', [offer('', 40)]),
+    storeData('rona-quebec', [offer('', 20)]),
+  ]);
+  assert.equal(catalogue.count, 1);
+  assert.equal(catalogue.items[0].key, 'url:https://www.rona.ca/fr/produit/');
+  assert.equal(catalogue.items[0].lowestPrice, 20);
+  assert.deepEqual(mergeCatalogue([]).items, []);
+});
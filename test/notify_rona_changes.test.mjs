@@ -0,0 +1,279 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { expandEnv } from '../scripts/env_helpers.mjs';
+import {
+  buildMessages,
+  normalizeSubscriber,
+  notifyChanges,
+} from '../scripts/notify_rona_changes.mjs';
+import { createSink, formatMessageText } from '../scripts/rona_sinks.mjs';
+
+const LAVAL = { slug: 'rona-laval', name: 'RONA Laval', id: 61234 };
+const QUEBEC = { slug: 'rona-quebec', name: 'RONA Québec', id: 70001 };
+
+function makeChanges(store, overrides = {}) {
+  return {
+    store,
+    scrapedAt: '2025-03-02T10:00:00.000Z',
+    previousRunAt: '2025-03-01T10:00:00.000Z',
+    newItems: [
+      {
+        name: 'Perceuse sans fil',
+        url: 'https://www.rona.ca/fr/produit/perceuse-12345',
+        sku: '12345',
+        regularPrice: 200,
+        salePrice: 60,
+        discountPct: 70,
+      },
+      {
+        name: 'Lame de scie',
+        url: 'https://www.rona.ca/fr/produit/lame-222',
+        sku: '222',
+        regularPrice: 20,
+        salePrice: 5,
+        discountPct: 75,
+      },
+    ],
+    priceDrops: [
+      {
+        name: 'Scie circulaire',
+        url: 'https://www.rona.ca/fr/produit/scie-333',
+        sku: '333',
+        regularPrice: 150,
+        salePrice: 45,
+        discountPct: 70,
+        previousSalePrice: 75,
+      },
+    ],
+    disappeared: [],
+    ...overrides,
+  };
+}
+
+async function writeChanges(dataDir, changes) {
+  const baseDir = path.join(dataDir, changes.store.slug);
+  await fs.mkdir(baseDir, { recursive: true });
+  await fs.writeFile(
+    path.join(baseDir, 'changes.json'),
+    JSON.stringify(changes),
+    'utf8'
+  );
+}
+
+async function startWebhookServer() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.statusCode = req.url === '/fail' ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    received,
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('buildMessages applies store, keyword, discount and event rules', () => {
+  const subscribers = [
+    normalizeSubscriber({
+      name: 'laval-outils',
+      stores: ['61234'],
+      keywords: ['perceuse', 'scie'],
+      exclude: ['lame'],
+      minDiscountPct: 65,
+      sinks: [{ type: 'stdout' }],
+    }),
+    normalizeSubscriber({
+      name: 'drops-only',
+      events: ['price-drop'],
+      sinks: [{ type: 'stdout' }],
+    }),
+    normalizeSubscriber({
+      name: 'nothing',
+      minDiscountPct: 95,
+      sinks: [{ type: 'stdout' }],
+    }),
+  ];
+  const messages = buildMessages(
+    [makeChanges(LAVAL), makeChanges(QUEBEC)],
+    subscribers
+  );
+  assert.deepEqual(
+    messages.map(({ message }) => [
+      message.subscriber,
+      message.items.map(
+        (item) => `${item.event}:${item.sku}@${item.store.slug}`
+      ),
+    ]),
+    [
+      ['laval-outils', ['new:12345@rona-laval', 'price-drop:333@rona-laval']],
+      [
+        'drops-only',
+        ['price-drop:333@rona-laval', 'price-drop:333@rona-quebec'],
+      ],
+    ]
+  );
+  assert.throws(
+    () =>
+      normalizeSubscriber({ events: ['gone'], sinks: [{ type: 'stdout' }] }),
+    /Unknown notification events/
+  );
+  assert.throws(() => normalizeSubscriber({ name: 'x' }), /has no sinks/);
+});
+
+test('sinks format text, expand env and reject unknown types', () => {
+  const text = formatMessageText({
+    subscriber: 'laval',
+    items: [
+      { ...makeChanges(LAVAL).priceDrops[0], event: 'price-drop', store: LAVAL },
+    ],
+  });
+  assert.match(
+    text,
+    /\[Price drop\] Scie circulaire - 45\.00 \$ \(was 75\.00 \$\), -70% at RONA Laval/
+  );
+  assert.deepEqual(
+    expandEnv(
+      { url: '${HOOK}/x', headers: ['${MISSING}'] },
+      { HOOK: 'http://h' }
+    ),
+    { url: 'http://h/x', headers: [''] }
+  );
+  assert.throws(
+    () => createSink({ type: 'pager' }),
+    /Unknown notification sink/
+  );
+  assert.throws(
+    () => createSink({ type: 'webhook', url: '' }),
+    /requires "url"/
+  );
+  assert.throws(() => createSink({ type: 'email', to: 'a@b.c' }), /smtp\.host/);
+});
+
+test('notifyChanges posts to webhooks, appends files and only sends once', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-notify-'));
+  const server = await startWebhookServer();
+  try {
+    await writeChanges(dataDir, makeChanges(LAVAL));
+    await writeChanges(dataDir, makeChanges(QUEBEC, { previousRunAt: null }));
+    const outbox = path.join(dataDir, 'out', 'notifications.jsonl');
+    const config = {
+      subscribers: [
+        {
+          name: 'laval',
+          minDiscountPct: 60,
+          sinks: [
+            { type: 'webhook', url: `${server.url}/hook` },
+            { type: 'file', path: outbox },
+            { type: 'webhook', url: `${server.url}/fail` },
+          ],
+        },
+      ],
+    };
+
+    const result = await notifyChanges({ dataDir, config });
+    assert.deepEqual(result, { stores: 1, messages: 1, sent: 2, failed: 1 });
+    const hook = server.received.find((entry) => entry.path === '/hook');
+    assert.equal(hook.body.subscriber, 'laval');
+    assert.deepEqual(
+      hook.body.items.map((item) => item.sku),
+      ['222', '12345', '333']
+    );
+    const lines = (await fs.readFile(outbox, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).items.length, 3);
+
+    const again = await notifyChanges({ dataDir, config });
+    assert.deepEqual(again, { stores: 0, messages: 0, sent: 0, failed: 0 });
+    assert.equal(server.received.length, 2);
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('notifyChanges retries stores whose alerts no sink delivered', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-notify-'));
+  const server = await startWebhookServer();
+  try {
+    await writeChanges(dataDir, makeChanges(LAVAL));
+    const subscriber = { name: 'laval', minDiscountPct: 60 };
+    const failing = {
+      subscribers: [
+        {
+          ...subscriber,
+          sinks: [{ type: 'webhook', url: `${server.url}/fail` }],
+        },
+      ],
+    };
+    const failed = await notifyChanges({ dataDir, config: failing });
+    assert.deepEqual(failed, { stores: 1, messages: 1, sent: 0, failed: 1 });
+
+    const working = {
+      subscribers: [
+        {
+          ...subscriber,
+          sinks: [{ type: 'webhook', url: `${server.url}/hook` }],
+        },
+      ],
+    };
+    const retried = await notifyChanges({ dataDir, config: working });
+    assert.deepEqual(retried, { stores: 1, messages: 1, sent: 1, failed: 0 });
+    const done = await notifyChanges({ dataDir, config: working });
+    assert.equal(done.stores, 0);
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('notifyChanges only resends to the subscribers that missed a store', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-notify-'));
+  const server = await startWebhookServer();
+  try {
+    await writeChanges(dataDir, makeChanges(LAVAL));
+    const config = (failingPath) => ({
+      subscribers: [
+        {
+          name: 'ok',
+          sinks: [{ type: 'webhook', url: `${server.url}/hook` }],
+        },
+        {
+          name: 'flaky',
+          sinks: [{ type: 'webhook', url: `${server.url}${failingPath}` }],
+        },
+      ],
+    });
+
+    const first = await notifyChanges({ dataDir, config: config('/fail') });
+    assert.deepEqual(first, { stores: 1, messages: 2, sent: 1, failed: 1 });
+    const second = await notifyChanges({ dataDir, config: config('/flaky') });
+    assert.deepEqual(second, { stores: 1, messages: 1, sent: 1, failed: 0 });
+    assert.deepEqual(
+      server.received.map((entry) => [entry.path, entry.body.subscriber]),
+      [
+        ['/hook', 'ok'],
+        ['/fail', 'flaky'],
+        ['/flaky', 'flaky'],
+      ]
+    );
+    const third = await notifyChanges({ dataDir, config: config('/flaky') });
+    assert.equal(third.stores, 0);
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  detectPagination,
+  lastPageNumber,
+  paginate,
+  parseAdvertisedTotal,
+} from '../scripts/pagination.mjs';
+
+const BASE_URL = 'https://shop.example.test/clearance?page=1&pageSize=24';
+
+const config = {
+  tileSelectors: ['.tile'],
+  loadMoreSelectors: ['button.more'],
+  pageLinkSelectors: ['.pager a'],
+  scrollSentinelSelectors: ['.sentinel'],
+  totalCountSelectors: ['.count'],
+  pageParam: 'page',
+  pageSizeParam: 'pageSize',
+  pageSizeValue: 'infinite',
+  settleMs: 0,
+};
+
+function tilesFor(pageNumber, perPage = 2) {
+  return Array.from({ length: perPage }, (_, index) => ({
+    url: `https://shop.example.test/p/${pageNumber}-${index}`,
+  }));
+}
+
+function fakePage({ url = BASE_URL, present = {}, pages = {}, text = {} }) {
+  const state = { url, visits: [] };
+  const tiles = () => pages[new URL(state.url).searchParams.get('page')] ?? [];
+  const locator = (selector) => ({
+    first() {
+      return this;
+    },
+    async waitFor() {},
+    async count() {
+      if (selector === '.tile') return tiles().length;
+      return present[selector]?.length ?? 0;
+    },
+    async isVisible() {
+      return (present[selector]?.length ?? 0) > 0;
+    },
+    async evaluateAll() {
+      return selector.split(', ').flatMap((part) => present[part] ?? []);
+    },
+    async textContent() {
+      if (!(selector in text)) throw new Error('not found');
+      return text[selector];
+    },
+  });
+  return {
+    state,
+    url: () => state.url,
+    locator,
+    async goto(next) {
+      state.url = next;
+      state.visits.push(next);
+    },
+    async waitForTimeout() {},
+    async waitForLoadState() {},
+    readTiles: async () => tiles(),
+  };
+}
+
+test('parseAdvertisedTotal reads French and English result counts', () => {
+  assert.equal(parseAdvertisedTotal('312 produits'), 312);
+  assert.equal(
+    parseAdvertisedTotal('Affichage de 1 à 24 sur 1 204 résultats'),
+    1204
+  );
+  assert.equal(parseAdvertisedTotal('Showing 24 of 1,204 results'), 1204);
+  assert.equal(parseAdvertisedTotal('Liquidation'), null);
+  assert.equal(parseAdvertisedTotal(null), null);
+});
+
+test('lastPageNumber reads link text and page params', () => {
+  assert.equal(
+    lastPageNumber([
+      { text: '1', href: '?page=1' },
+      { text: '2', href: '?page=2' },
+      { text: 'Suivant', href: '/c?page=5' },
+      { text: ' 4 ', href: null },
+    ]),
+    5
+  );
+  assert.equal(lastPageNumber([{ text: 'Next', href: '#' }]), null);
+});
+
+test('detectPagination prefers buttons, then page links, scroll and pageSize', async () => {
+  const link = [{ text: '2', href: '?page=2' }];
+  assert.equal(
+    await detectPagination(
+      fakePage({ present: { 'button.more': [{}], '.pager a': link } }),
+      config
+    ),
+    'button'
+  );
+  assert.equal(
+    await detectPagination(fakePage({ present: { '.pager a': link } }), config),
+    'pages'
+  );
+  assert.equal(
+    await detectPagination(fakePage({ present: { '.sentinel': [{}] } }), config),
+    'scroll'
+  );
+  assert.equal(await detectPagination(fakePage({}), config), 'page-size');
+  assert.equal(
+    await detectPagination(
+      fakePage({ url: 'https://shop.example.test/clearance' }),
+      config
+    ),
+    'single'
+  );
+});
+
+test('paginate walks numbered pages and flags truncation', async () => {
+  const page = fakePage({
+    present: {
+      '.pager a': [
+        { text: '1', href: '?page=1' },
+        { text: '3', href: '?page=3' },
+      ],
+    },
+    pages: { 1: tilesFor(1), 2: tilesFor(2), 3: tilesFor(3), 4: tilesFor(4) },
+    text: { '.count': '8 produits' },
+  });
+  const result = await paginate(page, config, {
+    navigate: page.goto,
+    readTiles: page.readTiles,
+  });
+  assert.equal(result.strategy, 'pages');
+  assert.equal(result.pages, 3);
+  assert.equal(result.lastPage, 3);
+  assert.equal(result.collected, 6);
+  assert.equal(result.advertised, 8);
+  assert.equal(result.truncated, true);
+  assert.equal(result.truncatedReason, 'below-advertised');
+  assert.equal(result.tileData.length, 6);
+  assert.deepEqual(
+    page.state.visits.map((url) => new URL(url).searchParams.get('page')),
+    ['2', '3']
+  );
+});
+
+test('paginate switches the pageSize param to load everything at once', async () => {
+  const page = fakePage({ pages: { 1: tilesFor(1, 5) } });
+  const result = await paginate(page, config, { navigate: page.goto });
+  assert.equal(result.strategy, 'page-size');
+  assert.equal(result.steps, 1);
+  assert.equal(result.collected, 5);
+  assert.equal(result.truncated, false);
+  assert.match(page.state.url, /pageSize=infinite/);
+
+  const again = await paginate(page, config, { navigate: page.goto });
+  assert.equal(again.steps, 0);
+});
+
+test('paginate counts tiles with the first matching selector only', async () => {
+  const page = fakePage({
+    url: 'https://shop.example.test/clearance?page=1',
+    pages: { 1: tilesFor(1, 3) },
+    present: { '.card': [{}, {}, {}, {}, {}] },
+  });
+  const result = await paginate(
+    page,
+    { ...config, tileSelectors: ['.missing', '.tile', '.card'] },
+    { navigate: page.goto }
+  );
+  assert.equal(result.strategy, 'single');
+  assert.equal(result.collected, 3);
+});
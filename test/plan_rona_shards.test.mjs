@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  buildShardPlan,
+  estimateStoreCost,
+  loadShardPlan,
+  planShards,
+  storesForShard,
+} from '../scripts/plan_rona_shards.mjs';
+
+const stores = ['a', 'b', 'c', 'd', 'e', 'f'].map((slug) => ({ slug }));
+
+test('estimateStoreCost prefers recorded durations', () => {
+  assert.equal(
+    estimateStoreCost({ status: 'scraped', stats: { durationMs: 120000 } }),
+    120000
+  );
+  assert.equal(
+    estimateStoreCost({ status: 'scraped', count: 3, stats: {} }),
+    46200
+  );
+  assert.equal(
+    estimateStoreCost({ status: 'blocked', stats: { durationMs: 4000 } }),
+    null
+  );
+  assert.equal(estimateStoreCost(null), null);
+});
+
+test('planShards balances stores by cost', () => {
+  const costs = new Map([
+    ['a', 600],
+    ['b', 300],
+    ['c', 300],
+    ['d', 200],
+    ['e', 100],
+    ['f', null],
+  ]);
+  const plan = planShards(stores, costs, 2);
+  assert.equal(plan.defaultStoreMs, 300);
+  assert.deepEqual(
+    plan.shards.map((shard) => [shard.stores, shard.estimatedMs]),
+    [
+      [['a', 'f'], 900],
+      [['b', 'c', 'd', 'e'], 900],
+    ]
+  );
+
+  const wide = planShards(stores, new Map(), 8);
+  assert.equal(wide.shards.length, 8);
+  assert.deepEqual(
+    wide.shards.map((shard) => shard.stores.length),
+    [1, 1, 1, 1, 1, 1, 0, 0]
+  );
+  assert.throws(() => planShards(stores, costs, 0), /totalShards/);
+});
+
+test('storesForShard follows the plan and spreads unplanned stores', () => {
+  const plan = {
+    totalShards: 2,
+    shards: [
+      { index: 1, stores: ['a', 'd'] },
+      { index: 2, stores: ['b', 'c'] },
+    ],
+  };
+  const first = storesForShard(stores, plan, 1).map((store) => store.slug);
+  const second = storesForShard(stores, plan, 2).map((store) => store.slug);
+  assert.deepEqual(first, ['a', 'd', 'e']);
+  assert.deepEqual(second, ['b', 'c', 'f']);
+});
+
+test('buildShardPlan reads past runs and loadShardPlan checks shard count', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-plan-'));
+  try {
+    for (const [slug, durationMs] of [
+      ['a', 5000],
+      ['b', 1000],
+      ['c', 3000],
+    ]) {
+      await fs.mkdir(path.join(dataDir, slug), { recursive: true });
+      await fs.writeFile(
+        path.join(dataDir, slug, 'data.json'),
+        JSON.stringify({ status: 'scraped', count: 1, stats: { durationMs } })
+      );
+    }
+    const plan = await buildShardPlan({
+      dataDir,
+      stores: stores.slice(0, 4),
+      totalShards: 2,
+    });
+    assert.deepEqual(
+      plan.shards.map((shard) => shard.stores),
+      [
+        ['a', 'b'],
+        ['c', 'd'],
+      ]
+    );
+
+    const planPath = path.join(dataDir, 'shard_plan.json');
+    await fs.writeFile(planPath, JSON.stringify(plan));
+    assert.equal((await loadShardPlan(planPath, 2)).totalShards, 2);
+    assert.equal(await loadShardPlan(planPath, 3), null);
+    assert.equal(await loadShardPlan(path.join(dataDir, 'none.json'), 2), null);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
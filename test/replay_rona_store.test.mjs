@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { ronaAdapter } from '../scripts/retailers/rona.mjs';
+import { normalizeFilter } from '../scripts/rona_filters.mjs';
+import { replayStore } from '../scripts/replay_rona_store.mjs';
+
+test('replayStore re-parses saved network captures with the adapter', async () => {
+  const fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-replay-'));
+  try {
+    await fs.copyFile(
+      new URL('./fixtures/captured_catalog.json', import.meta.url),
+      path.join(fixtureDir, 'network_1.json')
+    );
+    await fs.writeFile(path.join(fixtureDir, 'network_2.json'), '{ broken');
+    await fs.writeFile(
+      path.join(fixtureDir, 'network_index.json'),
+      JSON.stringify({
+        captures: [
+          {
+            file: 'network_1.json',
+            url: 'https://www.rona.ca/api/catalog',
+            isJson: true,
+          },
+          {
+            file: 'network_2.json',
+            url: 'https://www.rona.ca/api/other',
+            isJson: true,
+          },
+          {
+            file: 'network_3.json',
+            url: 'https://www.rona.ca/app.js',
+            isJson: false,
+          },
+        ],
+      })
+    );
+
+    const report = await replayStore(fixtureDir, {
+      adapter: ronaAdapter,
+      filter: normalizeFilter({ minDiscountPct: 0 }),
+      store: { slug: 'rona-laval' },
+    });
+    assert.equal(report.pageUrl, ronaAdapter.resolveClearanceUrl(null, 'fr'));
+    assert.equal(report.dom, null);
+    assert.deepEqual(report.captured.matched, {
+      url: 'https://www.rona.ca/api/catalog',
+      path: 'CatalogEntryView',
+    });
+    assert.equal(report.captured.files, 1);
+    assert.equal(report.captured.parsed, report.captured.kept);
+    assert.ok(
+      report.captured.products.every((item) =>
+        item.url.startsWith(`${ronaAdapter.baseUrl}/`)
+      )
+    );
+
+    const saved = JSON.parse(
+      await fs.readFile(path.join(fixtureDir, 'replay.json'), 'utf8')
+    );
+    assert.deepEqual(saved.captured.matched, report.captured.matched);
+  } finally {
+    await fs.rm(fixtureDir, { recursive: true, force: true });
+  }
+});
+
+test('replayStore fails when a directory holds no fixtures', async () => {
+  const fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-replay-'));
+  try {
+    await assert.rejects(
+      replayStore(fixtureDir, { adapter: ronaAdapter }),
+      /No debug\.html or network_\*\.json fixtures/
+    );
+  } finally {
+    await fs.rm(fixtureDir, { recursive: true, force: true });
+  }
+});
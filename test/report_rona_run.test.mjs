@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { writeRunReport } from '../scripts/report_rona_run.mjs';
+
+async function writeSummary(dataDir, summary) {
+  const dir = path.join(dataDir, `shard-${summary.shardIndex}`);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'summary.json'), JSON.stringify(summary));
+}
+
+function storeEntry(slug, status, extra = {}) {
+  return {
+    slug,
+    name: slug,
+    status,
+    skipped: false,
+    count: status === 'scraped' ? 12 : null,
+    durationMs: 65000,
+    attempts: 1,
+    source: status === 'scraped' ? 'browser' : null,
+    blockedReason: null,
+    error: null,
+    ...extra,
+  };
+}
+
+test('writeRunReport combines shard summaries into JSON and Markdown', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-report-'));
+  try {
+    await writeSummary(dataDir, {
+      shardIndex: 1,
+      totalShards: 3,
+      timestamp: '2025-03-02T10:00:00.000Z',
+      durationMs: 600000,
+      storesTotal: 2,
+      storesOk: 1,
+      storesBlocked: 1,
+      storesError: 0,
+      storesSkipped: 0,
+      storesViaApi: 1,
+      blockedReasons: { 'cf-challenge': 1 },
+      validation: { storesWithErrors: 2, maxErrorStores: 1 },
+      stores: [
+        storeEntry('rona-laval', 'scraped', { source: 'api' }),
+        storeEntry('rona-quebec', 'blocked', {
+          attempts: 2,
+          blockedReason: 'cf-challenge',
+        }),
+      ],
+    });
+    await writeSummary(dataDir, {
+      shardIndex: 2,
+      totalShards: 3,
+      timestamp: '2025-03-02T10:05:00.000Z',
+      storesTotal: 2,
+      storesOk: 1,
+      storesBlocked: 0,
+      storesError: 1,
+      storesSkipped: 1,
+      blockedReasons: {},
+      validation: {
+        storesWithErrors: 1,
+        maxErrorStores: 1,
+        failure: 'none of the 1 stores produced products',
+      },
+      stores: [
+        storeEntry('rona-gatineau', 'error', {
+          attempts: 3,
+          error: 'Timeout | page.goto\nexceeded',
+        }),
+        storeEntry('rona-levis', 'scraped', { skipped: true }),
+      ],
+    });
+    await writeSummary(dataDir, {
+      shardIndex: 4,
+      totalShards: 4,
+      timestamp: '2025-02-20T10:00:00.000Z',
+      storesTotal: 9,
+      storesOk: 9,
+      stores: [],
+    });
+
+    const { report, markdown } = await writeRunReport({ dataDir });
+    assert.deepEqual(report.totals, {
+      shards: 2,
+      stores: 4,
+      ok: 2,
+      blocked: 1,
+      error: 1,
+      skipped: 1,
+      viaApi: 1,
+    });
+    assert.deepEqual(report.failed, ['rona-gatineau', 'rona-quebec']);
+    assert.deepEqual(
+      report.stores.map((store) => [store.slug, store.shardIndex]),
+      [
+        ['rona-gatineau', 2],
+        ['rona-quebec', 1],
+        ['rona-laval', 1],
+        ['rona-levis', 2],
+      ]
+    );
+    assert.equal(report.warnings.length, 4);
+    assert.match(report.warnings[0], /Ignored 1 shard summaries/);
+    assert.match(
+      report.warnings[1],
+      /Shard 1 failed validation: 2 stores with errors \(max 1\)/
+    );
+    assert.match(
+      report.warnings[2],
+      /Shard 2 failed validation: none of the 1 stores produced products\./
+    );
+    assert.match(report.warnings[3], /Missing shard summaries: 3\./);
+
+    assert.match(markdown, /2\/4 stores scraped, 1 blocked, 1 errors/);
+    assert.match(markdown, /\| 1\/3 \| 2 \| 1 \| 1 \| 0 \| 0 \| 10\.0m \| - \|/);
+    assert.match(
+      markdown,
+      /\| rona-gatineau \| 2 \| error \| 3 \| Timeout \\\| page\.goto exceeded \|/
+    );
+    assert.match(
+      markdown,
+      /\| rona-levis \| 2 \| scraped \| 12 \| 1\.1m \| browser \| checkpoint \|/
+    );
+
+    const saved = JSON.parse(
+      await fs.readFile(path.join(dataDir, 'report.json'), 'utf8')
+    );
+    assert.deepEqual(saved.failed, report.failed);
+    assert.equal(
+      await fs.readFile(path.join(dataDir, 'report.md'), 'utf8'),
+      markdown
+    );
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
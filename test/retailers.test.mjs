@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  getRetailer,
+  languagesFromArgs,
+  listRetailers,
+  logPrefix,
+  registerRetailer,
+  retailerFromArgs,
+} from '../scripts/retailers/index.mjs';
+import {
+  CLEARANCE_URL,
+  confirmStore,
+  ronaAdapter,
+} from '../scripts/retailers/rona.mjs';
+
+const LAVAL = { id: 61234, name: 'RONA Laval', locationQuery: 'Laval' };
+
+const STORE_SELECTORS = {
+  cookieBanner: ['#consent'],
+  storeHeader: ['.my-store'],
+  storeLocatorSearch: ['input.search'],
+  storeLocatorSubmit: ['button.search'],
+  setMyStore: ['button.choose'],
+};
+
+function fakeStorePage({ header = null, results = {}, cookies = [] }) {
+  const state = { header, cookies, query: null, visits: [] };
+  const locator = (selector, scope = null) => ({
+    first() {
+      return this;
+    },
+    locator(child) {
+      return locator(child, selector);
+    },
+    async waitFor() {
+      if (selector !== '.my-store' || !state.header) {
+        throw new Error('timeout');
+      }
+    },
+    async textContent() {
+      return state.header?.text ?? '';
+    },
+    async getAttribute() {
+      return selector === '.my-store' ? state.header?.storeId ?? null : null;
+    },
+    async count() {
+      const id = selector.match(/data-store-id="(\d+)"/)?.[1];
+      return id in results ? 1 : 0;
+    },
+    async isVisible() {
+      return selector === 'button.choose' && scope != null;
+    },
+    async click() {
+      const id = scope.match(/data-store-id="(\d+)"/)[1];
+      ({ header: state.header, cookies: state.cookies = [] } = results[id]);
+    },
+    async fill(value) {
+      state.query = value;
+    },
+    async press() {},
+  });
+  return {
+    state,
+    locator,
+    url: () => 'https://www.rona.ca/clearance',
+    context: () => ({ cookies: async () => state.cookies }),
+    async waitForLoadState() {},
+  };
+}
+
+async function selectFakeStore(page, store) {
+  return ronaAdapter.selectStore(page, store, {
+    targetUrl: 'https://www.rona.ca/clearance',
+    navigate: async (url) => page.state.visits.push(url),
+    selectors: STORE_SELECTORS,
+  });
+}
+
+test('RONA is the default retailer adapter', () => {
+  const rona = getRetailer();
+  assert.equal(rona.id, 'rona');
+  assert.equal(rona.baseUrl, 'https://www.rona.ca');
+  assert.equal(rona.storesPath, 'stores.json');
+  assert.equal(retailerFromArgs({ retailer: 'rona' }), rona);
+  assert.equal(rona.resolveClearanceUrl({ slug: 'x' }), CLEARANCE_URL);
+  assert.equal(
+    rona.resolveClearanceUrl({ clearanceUrl: 'https://example.test/c' }),
+    'https://example.test/c'
+  );
+  assert.ok(listRetailers().includes('rona'));
+});
+
+test('registerRetailer validates adapters', () => {
+  assert.throws(() => getRetailer('nope'), /Unknown retailer "nope"/);
+  assert.throws(
+    () => registerRetailer({ id: 'half', baseUrl: 'https://x', dataDir: 'd' }),
+    /missing resolveClearanceUrl, selectStore, loadAllProducts, readTiles/
+  );
+
+  const adapter = {
+    id: 'test-retailer',
+    name: 'Test',
+    baseUrl: 'https://shop.example.test',
+    dataDir: 'data/test',
+    storesPath: 'stores.test.json',
+    resolveClearanceUrl: (store) => `https://shop.example.test/${store.id}`,
+    selectStore: async () => ({ confirmed: true }),
+    loadAllProducts: async () => {},
+    readTiles: async () => [],
+  };
+  registerRetailer(adapter);
+  assert.equal(getRetailer('test-retailer'), adapter);
+  assert.equal(logPrefix(adapter), '[test]');
+  assert.equal(logPrefix(getRetailer('rona')), '[rona]');
+});
+
+test('RONA clearance URLs and --lang follow the requested language', () => {
+  const rona = getRetailer('rona');
+  assert.match(rona.resolveClearanceUrl({}, 'en'), /langId=-1/);
+  assert.match(rona.resolveClearanceUrl({}, 'fr'), /langId=-2/);
+  assert.equal(
+    rona.resolveClearanceUrl({ clearanceUrl: 'http://127.0.0.1/c' }, 'en'),
+    'http://127.0.0.1/c'
+  );
+  assert.throws(() => rona.resolveClearanceUrl({}, 'de'), /no "de" site/);
+
+  assert.equal(languagesFromArgs({}, rona), null);
+  assert.deepEqual(languagesFromArgs({ lang: 'EN, fr,en' }, rona), [
+    'en',
+    'fr',
+  ]);
+  assert.throws(
+    () => languagesFromArgs({ lang: 'fr,es' }, rona),
+    /--lang must list languages supported by rona \(fr, en\)/
+  );
+});
+
+test('confirmStore needs the store id or the full store name', () => {
+  assert.equal(confirmStore(LAVAL, { storeId: '61234' }), 'store-id');
+  assert.equal(
+    confirmStore(LAVAL, { cookieValues: ['10151|61234'] }),
+    'cookie'
+  );
+  assert.equal(confirmStore(LAVAL, { cookieValues: ['161234'] }), null);
+  assert.equal(confirmStore(LAVAL, { text: ' Rona  LAVAL ' }), 'name');
+  assert.equal(confirmStore(LAVAL, { text: 'Laval' }), null);
+  assert.equal(confirmStore(LAVAL, { text: 'RONA+ Laval' }), null);
+  assert.equal(
+    confirmStore(LAVAL, { text: 'RONA Laval', storeId: '61240' }),
+    'name'
+  );
+  assert.equal(
+    confirmStore(
+      { id: 41320, name: 'RONA Saint-Jérôme' },
+      { text: 'RONA Saint-Jerome' }
+    ),
+    'name'
+  );
+  assert.equal(
+    confirmStore({ name: 'RONA Laval' }, { text: 'RONA Laval' }),
+    null
+  );
+  assert.equal(confirmStore(LAVAL, null), null);
+});
+
+test('selectStore picks the store by id in the locator and confirms it', async () => {
+  const page = fakeStorePage({
+    header: { text: 'RONA+ Laval', storeId: '61240' },
+    results: {
+      61240: { header: { text: 'RONA+ Laval', storeId: '61240' } },
+      61234: {
+        header: { text: 'Mon magasin', storeId: null },
+        cookies: [{ name: 'selectedStore', value: '61234' }],
+      },
+    },
+  });
+  const selection = await selectFakeStore(page, LAVAL);
+  assert.equal(page.state.query, 'Laval');
+  assert.equal(page.state.visits.at(-1), 'https://www.rona.ca/clearance');
+  assert.equal(selection.method, 'store-locator');
+  assert.equal(selection.confirmed, true);
+  assert.equal(selection.confirmedBy, 'cookie');
+  assert.equal(selection.headerText, 'Mon magasin');
+});
+
+test('selectStore stays unconfirmed when the locator does not list the store', async () => {
+  const page = fakeStorePage({
+    header: { text: 'RONA+ Laval', storeId: '61240' },
+    results: { 61240: { header: { text: 'RONA+ Laval', storeId: '61240' } } },
+  });
+  const selection = await selectFakeStore(page, LAVAL);
+  assert.equal(selection.confirmed, false);
+  assert.equal(selection.confirmedBy, null);
+  assert.equal(selection.headerStoreId, '61240');
+});
+
+test('selectStore keeps a store the page already shows', async () => {
+  const page = fakeStorePage({ header: { text: 'x', storeId: '61234' } });
+  const selection = await selectFakeStore(page, LAVAL);
+  assert.equal(selection.method, 'existing');
+  assert.equal(selection.confirmedBy, 'store-id');
+  assert.deepEqual(page.state.visits, []);
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  buildPageUrl,
+  fetchViaApi,
+  learnEndpoint,
+  loadApiState,
+} from '../scripts/rona_api.mjs';
+
+const STORE = { slug: 'rona-laval', name: 'RONA Laval', id: 61234 };
+
+function fakeRequest(pages) {
+  const calls = [];
+  return {
+    calls,
+    async get(url) {
+      calls.push(url);
+      const page = Number(new URL(url).searchParams.get('beginIndex')) / 2;
+      const body = pages[page] ?? { CatalogEntryView: [] };
+      return {
+        ok: () => true,
+        status: () => 200,
+        headers: () => ({ 'content-type': 'application/json; charset=utf-8' }),
+        json: async () => body,
+      };
+    },
+  };
+}
+
+test('learnEndpoint detects paging and store parameters', () => {
+  const endpoint = learnEndpoint(
+    {
+      url: 'https://www.rona.ca/api/search?storeId=61234&beginIndex=0&pageSize=2&langId=-2',
+      path: 'CatalogEntryView',
+    },
+    { store: STORE }
+  );
+  assert.equal(endpoint.itemsPath, 'CatalogEntryView');
+  assert.equal(endpoint.pageMode, 'offset');
+  assert.equal(endpoint.offsetParam, 'beginIndex');
+  assert.equal(endpoint.pageSize, 2);
+  assert.deepEqual(endpoint.storeParams, ['storeId']);
+  assert.equal(endpoint.learnedFrom, 'rona-laval');
+
+  assert.equal(
+    buildPageUrl(endpoint, 3, { id: 70001 }),
+    'https://www.rona.ca/api/search?storeId=70001&beginIndex=6&pageSize=2&langId=-2'
+  );
+  assert.equal(learnEndpoint({ url: 'not a url', path: 'x' }), null);
+  assert.equal(
+    learnEndpoint({ url: 'https://www.rona.ca/api/x?page=1', path: 'a' })
+      .pageMode,
+    'page'
+  );
+});
+
+test('fetchViaApi pages until a short page and reports the store', async () => {
+  const endpoint = learnEndpoint(
+    {
+      url: 'https://www.rona.ca/api/search?storeId=61234&beginIndex=0&pageSize=2',
+      path: 'CatalogEntryView',
+    },
+    { store: STORE }
+  );
+  const request = fakeRequest([
+    { physicalStoreId: '70001', CatalogEntryView: [{ id: 1 }, { id: 2 }] },
+    { CatalogEntryView: [{ id: 3 }] },
+  ]);
+  const result = await fetchViaApi({
+    request,
+    endpoint,
+    store: { id: 70001 },
+  });
+  assert.deepEqual(
+    result.items.map((item) => item.id),
+    [1, 2, 3]
+  );
+  assert.equal(result.pages, 2);
+  assert.equal(result.reportedStoreId, '70001');
+  assert.ok(request.calls.every((url) => url.includes('storeId=70001')));
+
+  const html = {
+    get: async () => ({
+      ok: () => true,
+      status: () => 200,
+      headers: () => ({ 'content-type': 'text/html' }),
+    }),
+  };
+  await assert.rejects(
+    fetchViaApi({ request: html, endpoint }),
+    /API returned text\/html/
+  );
+});
+
+test('loadApiState persists learned endpoints and backs off after failures', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-api-'));
+  try {
+    const state = await loadApiState(dataDir, 'auto');
+    assert.equal(state.endpoint, null);
+    await state.learn(
+      learnEndpoint(
+        { url: 'https://www.rona.ca/api/x?store=61234&page=1', path: 'items' },
+        { store: STORE }
+      )
+    );
+    await state.learn(
+      learnEndpoint(
+        { url: 'https://www.rona.ca/api/x?store=70001&page=2', path: 'items' },
+        { store: { slug: 'rona-gatineau', id: 70001 } }
+      )
+    );
+
+    const reloaded = await loadApiState(dataDir, 'auto');
+    assert.equal(
+      reloaded.endpoint.url,
+      'https://www.rona.ca/api/x?store=61234&page=1'
+    );
+    assert.equal(reloaded.endpoint.learnedFrom, 'rona-laval');
+    reloaded.recordFailure();
+    reloaded.recordFailure();
+    reloaded.recordFailure();
+    assert.equal(reloaded.endpoint, null);
+
+    const unconfirmed = await loadApiState(dataDir, 'auto');
+    unconfirmed.disable('no store id');
+    unconfirmed.disable('no store id');
+    assert.equal(unconfirmed.endpoint, null);
+    unconfirmed.recordSuccess();
+    assert.equal(unconfirmed.endpoint, null);
+
+    const off = await loadApiState(dataDir);
+    assert.equal(off.endpoint, null);
+    await assert.rejects(loadApiState(dataDir, 'always'), /--api must be/);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { enrichProducts, loadDetailCache } from '../scripts/rona_enrich.mjs';
+
+const DRILL = 'https://www.rona.ca/fr/produit/perceuse-sans-fil-20-v-12345';
+const SAW = 'https://www.rona.ca/fr/produit/scie-333';
+
+const detailFixture = JSON.parse(
+  await fs.readFile(
+    new URL('./fixtures/product_detail.json', import.meta.url),
+    'utf8'
+  )
+);
+
+function fakeContext(details) {
+  const visits = [];
+  let current = null;
+  return {
+    visits,
+    newPage: async () => ({
+      setDefaultTimeout() {},
+      goto: async (url) => {
+        visits.push(url);
+        if (!details[url]) throw new Error(`404 ${url}`);
+        current = details[url];
+      },
+      evaluate: async () => current,
+      close: async () => {},
+    }),
+  };
+}
+
+function items() {
+  return [
+    { name: 'Perceuse', url: DRILL, sku: '', stockQuantity: null },
+    { name: 'Scie', url: SAW, sku: '333', stockQuantity: null },
+  ];
+}
+
+test('enrichProducts merges details and caches them per URL', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-enrich-'));
+  try {
+    const cachePath = path.join(dir, 'product_details.json');
+    const cache = await loadDetailCache(cachePath);
+    const context = fakeContext({
+      [DRILL]: detailFixture,
+      [SAW]: { jsonLd: [], specs: [], images: [], stockText: '' },
+    });
+    const laval = { slug: 'rona-laval', id: 61234 };
+    const first = items();
+    const stats = await enrichProducts({
+      context,
+      items: first,
+      store: laval,
+      cache,
+    });
+    assert.deepEqual(stats, {
+      candidates: 2,
+      visited: 2,
+      cacheHits: 0,
+      failed: 0,
+    });
+    assert.equal(first[0].sku, '12345');
+    assert.equal(first[0].modelNumber, 'DCD777C2');
+    assert.equal(first[0].stockQuantity, 7);
+    assert.equal(first[0].image, 'https://images.rona.ca/perceuse_1200.jpg');
+    assert.equal(first[1].stockQuantity, null);
+
+    const reloaded = await loadDetailCache(cachePath);
+    assert.equal(reloaded.get(DRILL).modelNumber, 'DCD777C2');
+    assert.equal(reloaded.get(DRILL).stockQuantity, undefined);
+
+    const again = await enrichProducts({
+      context,
+      items: items(),
+      store: laval,
+      cache: reloaded,
+    });
+    assert.equal(again.cacheHits, 2);
+    assert.equal(context.visits.length, 2);
+
+    const quebec = await enrichProducts({
+      context,
+      items: items(),
+      store: { slug: 'rona-quebec', id: 70001 },
+      cache: reloaded,
+    });
+    assert.equal(quebec.visited, 2);
+
+    const staticOnly = items();
+    const noStock = await enrichProducts({
+      context,
+      items: staticOnly,
+      cache: reloaded,
+      stock: false,
+      maxItems: 1,
+    });
+    assert.equal(noStock.cacheHits, 1);
+    assert.equal(staticOnly[0].modelNumber, 'DCD777C2');
+    assert.equal(staticOnly[1].modelNumber, undefined);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadDetailCache expires details and stock checks', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-enrich-'));
+  try {
+    const cachePath = path.join(dir, 'product_details.json');
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(
+      cachePath,
+      JSON.stringify({
+        entries: { [DRILL]: { fetchedAt: old, detail: { sku: '12345' } } },
+        stock: {
+          [`61234 ${DRILL}`]: { checkedAt: old, stockQuantity: null },
+        },
+      })
+    );
+    const fresh = await loadDetailCache(cachePath);
+    assert.equal(fresh.get(DRILL).sku, '12345');
+    assert.equal(fresh.getStock(DRILL, 61234).stockQuantity, null);
+
+    const hour = 60 * 60 * 1000;
+    const strict = await loadDetailCache(cachePath, {
+      maxAgeMs: hour,
+      stockMaxAgeMs: hour,
+    });
+    assert.equal(strict.get(DRILL), null);
+    assert.equal(strict.getStock(DRILL, 61234), null);
+
+    const context = fakeContext({});
+    const stats = await enrichProducts({
+      context,
+      items: items().slice(0, 1),
+      store: { id: 61234 },
+      cache: fresh,
+    });
+    assert.equal(stats.cacheHits, 1);
+    assert.equal(context.visits.length, 0);
+
+    const failed = await enrichProducts({
+      context,
+      items: items(),
+      store: { id: 61234 },
+      cache: strict,
+    });
+    assert.equal(failed.failed, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed cache write does not reject later saves', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-enrich-'));
+  try {
+    const blocker = path.join(dir, 'cache');
+    const cachePath = path.join(blocker, 'product_details.json');
+    const cache = await loadDetailCache(cachePath);
+    await fs.writeFile(blocker, '');
+    cache.set(DRILL, { sku: '12345' });
+    await assert.rejects(cache.save());
+
+    await fs.rm(blocker);
+    cache.set(SAW, { sku: '333' });
+    await cache.save();
+    const saved = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    assert.deepEqual(Object.keys(saved.entries), [DRILL, SAW]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  DEFAULT_FILTER,
+  applyFilter,
+  matchesFilter,
+  normalizeFilter,
+  parseFilterArgs,
+} from '../scripts/rona_filters.mjs';
+
+const ITEMS = [
+  {
+    name: 'Perceuse sans fil 18 V',
+    brand: 'DeWalt',
+    category: 'Outils électriques',
+    regularPrice: 200,
+    salePrice: 60,
+    discountPct: 70,
+  },
+  {
+    name: 'Lame de scie circulaire',
+    brand: 'Diablo',
+    category: 'Accessoires',
+    regularPrice: 30,
+    salePrice: 12,
+    discountPct: 60,
+  },
+  {
+    name: 'Peinture intérieure',
+    brand: 'Sico',
+    category: 'Peinture',
+    regularPrice: 80,
+    salePrice: 60,
+    discountPct: 25,
+  },
+  { name: 'Prix inconnu', regularPrice: null, salePrice: null },
+];
+
+function names(filter) {
+  return applyFilter(ITEMS, filter).map((item) => item.name);
+}
+
+test('an empty filter keeps every item', () => {
+  const empty = normalizeFilter({ minDiscountPct: null });
+  assert.deepEqual(empty, {
+    minDiscountPct: null,
+    minSavings: null,
+    maxSalePrice: null,
+    include: [],
+    exclude: [],
+  });
+  assert.equal(names(empty).length, ITEMS.length);
+  assert.deepEqual(normalizeFilter(), DEFAULT_FILTER);
+  assert.deepEqual(names(), [
+    'Perceuse sans fil 18 V',
+    'Lame de scie circulaire',
+  ]);
+});
+
+test('price rules require known prices', () => {
+  assert.deepEqual(names(normalizeFilter({ minDiscountPct: 65 })), [
+    'Perceuse sans fil 18 V',
+  ]);
+  assert.deepEqual(
+    names(normalizeFilter({ minDiscountPct: null, minSavings: 20 })),
+    ['Perceuse sans fil 18 V', 'Peinture intérieure']
+  );
+  assert.deepEqual(
+    names(normalizeFilter({ minDiscountPct: null, maxSalePrice: 59.99 })),
+    ['Lame de scie circulaire']
+  );
+  assert.equal(
+    matchesFilter(ITEMS[3], normalizeFilter({ minDiscountPct: 0 })),
+    false
+  );
+});
+
+test('keywords match names, brands and categories and combine with prices', () => {
+  assert.deepEqual(
+    names(normalizeFilter({ minDiscountPct: null, include: 'dewalt,sico' })),
+    ['Perceuse sans fil 18 V', 'Peinture intérieure']
+  );
+  assert.deepEqual(
+    names(
+      normalizeFilter({
+        minDiscountPct: null,
+        include: ['scie', 'OUTILS'],
+        exclude: ['lame'],
+      })
+    ),
+    ['Perceuse sans fil 18 V']
+  );
+  assert.deepEqual(
+    names(
+      normalizeFilter({
+        minDiscountPct: 50,
+        maxSalePrice: 20,
+        include: ['scie'],
+      })
+    ),
+    ['Lame de scie circulaire']
+  );
+  assert.deepEqual(
+    names(normalizeFilter({ include: ['perceuse'], minSavings: 150 })),
+    []
+  );
+});
+
+test('parseFilterArgs applies CLI overrides and rejects bad numbers', async () => {
+  const { filter, saveAll } = await parseFilterArgs([
+    '--min-discount',
+    '40',
+    '--include',
+    'Perceuse',
+    '--exclude',
+    'lame,batterie',
+    '--save-all',
+  ]);
+  assert.deepEqual(filter, {
+    minDiscountPct: 40,
+    minSavings: null,
+    maxSalePrice: null,
+    include: ['perceuse'],
+    exclude: ['lame', 'batterie'],
+  });
+  assert.equal(saveAll, true);
+  await assert.rejects(
+    parseFilterArgs(['--max-price', 'cheap']),
+    /maxSalePrice must be a number, got "cheap"/
+  );
+});
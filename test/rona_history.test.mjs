@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { applyRun } from '../scripts/rona_history.mjs';
+import { STORE, makeItem } from './helpers/store_data.mjs';
+
+const FILTER = { minDiscountPct: 50, include: [] };
+
+function item(sku, salePrice, extra = {}) {
+  return makeItem({
+    name: `Produit ${sku}`,
+    url: `https://www.rona.ca/fr/produit/${sku}`,
+    sku,
+    salePrice,
+    discountPct: 100 - salePrice,
+    ...extra,
+  });
+}
+
+function run(history, items, scrapedAt, filter = FILTER) {
+  return applyRun(history, { store: STORE, items, scrapedAt, filter });
+}
+
+test('applyRun tracks first sightings, price drops and disappearances', () => {
+  const first = run(null, [item('1', 40), item('2', 30)], '2025-03-01');
+  assert.equal(first.changes.previousRunAt, null);
+  assert.deepEqual(
+    first.changes.newItems.map((entry) => entry.sku),
+    ['1', '2']
+  );
+  assert.equal(first.history.items['sku:1'].firstSeen, '2025-03-01');
+
+  const second = run(
+    first.history,
+    [item('1', 25), item('3', 20)],
+    '2025-03-02'
+  );
+  assert.equal(second.changes.previousRunAt, '2025-03-01');
+  assert.deepEqual(
+    second.changes.newItems.map((entry) => entry.sku),
+    ['3']
+  );
+  assert.deepEqual(second.changes.priceDrops, [
+    {
+      ...item('1', 25),
+      previousSalePrice: 40,
+      previousDiscountPct: 60,
+      dropAmount: 15,
+    },
+  ]);
+  assert.deepEqual(
+    second.changes.disappeared.map((entry) => [entry.sku, entry.lastSeen]),
+    [['2', '2025-03-01']]
+  );
+  const entry = second.history.items['sku:1'];
+  assert.deepEqual(
+    entry.prices.map((point) => point.salePrice),
+    [40, 25]
+  );
+  assert.equal(second.history.items['sku:2'].active, false);
+});
+
+test('applyRun reports a returning item as reappeared', () => {
+  const { history } = run(null, [item('1', 40)], '2025-03-01');
+  run(history, [], '2025-03-02');
+  const back = run(history, [item('1', 40)], '2025-03-03');
+  assert.deepEqual(back.changes.newItems, [
+    { ...item('1', 40), reappeared: true },
+  ]);
+  assert.equal(history.items['sku:1'].active, true);
+  assert.equal(history.items['sku:1'].disappearedAt, undefined);
+  assert.deepEqual(
+    history.runs.map((entry) => entry.count),
+    [1, 0, 1]
+  );
+});
+
+test('applyRun does not diff runs scraped with a different filter', () => {
+  const { history } = run(
+    null,
+    [item('1', 40), item('2', 45)],
+    '2025-03-01'
+  );
+  const stricter = { ...FILTER, minDiscountPct: 58 };
+  const narrowed = run(history, [item('1', 35)], '2025-03-02', stricter);
+  assert.equal(narrowed.changes.filterChanged, true);
+  assert.deepEqual(narrowed.changes.newItems, []);
+  assert.deepEqual(narrowed.changes.disappeared, []);
+  assert.equal(narrowed.changes.priceDrops.length, 1);
+  assert.equal(history.items['sku:2'].active, false);
+  assert.deepEqual(history.runs.at(-1).filter, stricter);
+
+  const same = run(history, [], '2025-03-03', stricter);
+  assert.equal(same.changes.filterChanged, false);
+  assert.deepEqual(
+    same.changes.disappeared.map((entry) => entry.sku),
+    ['1']
+  );
+});
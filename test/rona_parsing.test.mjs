@@ -0,0 +1,374 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { test } from 'node:test';
+import {
+  collectCandidateArrays,
+  computeDiscountPct,
+  extractPricesFromText,
+  extractProductsFromCaptured,
+  guessPriceLocale,
+  localizeNames,
+  normalizeAvailability,
+  normalizeCapturedProducts,
+  normalizeProductDetail,
+  normalizeTiles,
+  parseAisleBay,
+  parsePrice,
+  parsePromoEndDate,
+  parseStockQuantity,
+  parseUnitOfMeasure,
+  pickFirstValue,
+  toCsv,
+} from '../scripts/rona_parsing.mjs';
+import { normalizeFilter } from '../scripts/rona_filters.mjs';
+
+async function readFixture(name) {
+  const url = new URL(`./fixtures/${name}`, import.meta.url);
+  return JSON.parse(await fs.readFile(url, 'utf8'));
+}
+
+test('parsePrice handles French and English formats', () => {
+  assert.equal(parsePrice('1 299,99 $'), 1299.99);
+  assert.equal(parsePrice('1\u00a0299,99\u00a0$'), 1299.99);
+  assert.equal(parsePrice('1\u202f299,99 $'), 1299.99);
+  assert.equal(parsePrice('$1,299.99'), 1299.99);
+  assert.equal(parsePrice('1.299,99'), 1299.99);
+  assert.equal(parsePrice('19,99'), 19.99);
+  assert.equal(parsePrice('42'), 42);
+  assert.equal(parsePrice(''), null);
+  assert.equal(parsePrice('gratuit'), null);
+  assert.equal(parsePrice(null), null);
+});
+
+test('parsePrice reads thousands separators by locale', () => {
+  assert.equal(parsePrice('1,299', 'en'), 1299);
+  assert.equal(parsePrice('12,999,000', 'en-CA'), 12999000);
+  assert.equal(parsePrice('1,299', 'fr'), 1.299);
+  assert.equal(parsePrice('19,99', 'en'), 19.99);
+  assert.equal(parsePrice('$1,299'), 1299);
+  assert.equal(parsePrice('1,299 $'), 1.299);
+  assert.equal(parsePrice('2\u2009499,00\u00a0$', 'fr'), 2499);
+  assert.equal(guessPriceLocale('Was $24.99 Now $19.99'), 'en');
+  assert.equal(guessPriceLocale('Rég. 149,99 $ | 59,99 $'), 'fr');
+  assert.equal(guessPriceLocale('149,99'), null);
+  assert.deepEqual(extractPricesFromText('Was $1,049 Now $899'), [1049, 899]);
+});
+
+test('localizeNames matches translated names by SKU', () => {
+  const { items, matched } = localizeNames(
+    [
+      { name: 'Perceuse sans fil', sku: '100' },
+      { name: 'Vis à bois', sku: '200' },
+      { name: 'Article sans SKU', sku: '' },
+    ],
+    'fr',
+    {
+      en: [
+        { name: 'Cordless drill', sku: '100' },
+        { name: 'Hammer', sku: '300' },
+      ],
+    }
+  );
+  assert.deepEqual(matched, { en: 1 });
+  assert.deepEqual(
+    items.map((item) => [item.name, item.name_fr, item.name_en]),
+    [
+      ['Perceuse sans fil', 'Perceuse sans fil', 'Cordless drill'],
+      ['Vis à bois', 'Vis à bois', null],
+      ['Article sans SKU', 'Article sans SKU', null],
+    ]
+  );
+});
+
+test('extractPricesFromText keeps space-grouped thousands together', () => {
+  assert.deepEqual(extractPricesFromText('1 299,99 $ | 499,99 $'), [
+    1299.99, 499.99,
+  ]);
+  assert.deepEqual(extractPricesFromText('1\u00a0049,00\u00a0$'), [1049]);
+  assert.deepEqual(extractPricesFromText('2\u202f349,50\u00a0$'), [2349.5]);
+  assert.deepEqual(extractPricesFromText('1 049 $'), [1049]);
+  assert.deepEqual(extractPricesFromText('12 345'), [12, 345]);
+  assert.deepEqual(extractPricesFromText('2 pour 15,00 $'), [2, 15]);
+  assert.deepEqual(extractPricesFromText('Rég. 149,99 $ | 59,99 $'), [
+    149.99, 59.99,
+  ]);
+  assert.deepEqual(extractPricesFromText('Was $24.99 Now $19.99'), [
+    24.99, 19.99,
+  ]);
+  assert.deepEqual(extractPricesFromText(''), []);
+});
+
+test('computeDiscountPct rounds and rejects impossible pairs', () => {
+  assert.equal(computeDiscountPct(100, 40), 60);
+  assert.equal(computeDiscountPct(1299.99, 499.99), 62);
+  assert.equal(computeDiscountPct(100, 100), null);
+  assert.equal(computeDiscountPct(50, 80), null);
+  assert.equal(computeDiscountPct(null, 10), null);
+  assert.equal(computeDiscountPct(100, 0), null);
+  assert.equal(computeDiscountPct(-5, 1), null);
+});
+
+test('pickFirstValue follows dotted paths and array indexes', () => {
+  const item = {
+    price: { sale: 0, regular: null },
+    images: [{ url: 'a.jpg' }],
+    name: 'Vis',
+  };
+  assert.equal(pickFirstValue(item, ['title', 'name']), 'Vis');
+  assert.equal(pickFirstValue(item, ['images.0.url']), 'a.jpg');
+  assert.equal(pickFirstValue(item, ['price.sale']), 0);
+  assert.equal(pickFirstValue(item, ['price.regular', 'missing']), null);
+  assert.equal(pickFirstValue(item, ['name.length.deep']), null);
+});
+
+test('collectCandidateArrays finds nested arrays of objects', async () => {
+  const payload = await readFixture('captured_nested.json');
+  const paths = collectCandidateArrays(payload).map((entry) => entry.path);
+  assert.deepEqual(paths, ['data.search.tiles', 'data.facets']);
+  assert.deepEqual(collectCandidateArrays({ tags: ['a', 'b'] }), []);
+});
+
+test('normalizeCapturedProducts maps alternate keys and drops items without url', async () => {
+  const payload = await readFixture('captured_catalog.json');
+  const products = normalizeCapturedProducts(
+    payload.CatalogEntryView,
+    'https://www.rona.ca'
+  );
+  assert.deepEqual(products, [
+    {
+      name: 'Vanité 36 po avec lavabo',
+      url: 'https://www.rona.ca/fr/produit/vanite-36-po-22222',
+      image: 'https://images.rona.ca/vanite.jpg',
+      sku: '22222',
+      regularPrice: 1049,
+      salePrice: 419.6,
+      discountPct: 60,
+      availability: 'limited',
+      stockQuantity: 3,
+      aisle: '14',
+      bay: '6',
+      category: 'Vanités',
+      department: 'Salle de bain',
+      brand: 'Foremost',
+      unitOfMeasure: 'ch.',
+      promoEndDate: '2025-03-31',
+    },
+    {
+      name: 'Robinet de cuisine',
+      url: 'https://www.rona.ca/fr/produit/robinet-33333',
+      image: 'https://images.rona.ca/robinet.jpg',
+      sku: '33333',
+      regularPrice: 229.99,
+      salePrice: 199.99,
+      discountPct: 13,
+      availability: 'out-of-stock',
+      stockQuantity: null,
+      aisle: null,
+      bay: null,
+      category: null,
+      department: null,
+      brand: 'Moen',
+      unitOfMeasure: null,
+      promoEndDate: null,
+    },
+  ]);
+});
+
+test('extractProductsFromCaptured prefers priority keys and applies the filter', async () => {
+  const catalog = await readFixture('captured_catalog.json');
+  const nested = await readFixture('captured_nested.json');
+  const captured = [
+    { url: 'https://www.rona.ca/api/nested', data: nested },
+    { url: 'https://www.rona.ca/api/catalog', data: catalog },
+  ];
+
+  const result = extractProductsFromCaptured(captured, 'https://www.rona.ca');
+  assert.equal(result.matched.url, 'https://www.rona.ca/api/catalog');
+  assert.equal(result.matched.path, 'CatalogEntryView');
+  assert.equal(result.allProducts.length, 2);
+  assert.deepEqual(
+    result.products.map((item) => item.sku),
+    ['22222']
+  );
+
+  const loose = extractProductsFromCaptured(
+    [{ url: 'https://www.rona.ca/api/nested', data: nested }],
+    'https://www.rona.ca',
+    normalizeFilter({ minDiscountPct: 5 })
+  );
+  assert.equal(loose.matched.path, 'data.search.tiles');
+  assert.deepEqual(
+    loose.products.map((item) => [item.sku, item.discountPct]),
+    [
+      ['44444', 60],
+      ['55555', 8],
+    ]
+  );
+
+  assert.deepEqual(extractProductsFromCaptured([], 'https://www.rona.ca'), {
+    products: [],
+    allProducts: [],
+    matched: null,
+  });
+});
+
+test('normalizeTiles parses fixture tiles and de-duplicates by url', async () => {
+  const tiles = await readFixture('tiles.json');
+  const { products, parsedCount } = normalizeTiles(
+    tiles,
+    'https://www.rona.ca'
+  );
+  assert.equal(parsedCount, 4);
+  assert.deepEqual(
+    products.map((item) => [
+      item.sku,
+      item.regularPrice,
+      item.salePrice,
+      item.discountPct,
+    ]),
+    [
+      ['12345', 1299.99, 499.99, 62],
+      ['67890', 149.99, 59.99, 60],
+      ['', 24.99, 19.99, 20],
+    ]
+  );
+  assert.equal(
+    products[0].url,
+    'https://www.rona.ca/fr/produit/perceuse-sans-fil-20-v-12345'
+  );
+  assert.deepEqual(
+    products.map((item) => [
+      item.availability,
+      item.stockQuantity,
+      item.aisle,
+      item.bay,
+      item.brand,
+      item.category,
+      item.unitOfMeasure,
+      item.promoEndDate,
+    ]),
+    [
+      [
+        'in-stock',
+        7,
+        '22',
+        '3',
+        'DeWalt',
+        'Outils électriques',
+        null,
+        '2025-03-15',
+      ],
+      [null, null, null, null, null, null, null, null],
+      ['out-of-stock', null, null, null, null, null, 'ch', null],
+    ]
+  );
+});
+
+test('availability and stock helpers read French and English labels', () => {
+  assert.equal(normalizeAvailability('En stock'), 'in-stock');
+  assert.equal(normalizeAvailability('Quantité limitée'), 'limited');
+  assert.equal(normalizeAvailability('Rupture de stock'), 'out-of-stock');
+  assert.equal(normalizeAvailability('OUT_OF_STOCK'), 'out-of-stock');
+  assert.equal(normalizeAvailability('Online only'), 'online-only');
+  assert.equal(normalizeAvailability('', 4), 'in-stock');
+  assert.equal(normalizeAvailability('', 0), 'out-of-stock');
+  assert.equal(normalizeAvailability(''), null);
+
+  assert.equal(parseStockQuantity('12 en stock'), 12);
+  assert.equal(parseStockQuantity('3 unités disponibles'), 3);
+  assert.equal(parseStockQuantity('5'), 5);
+  assert.equal(parseStockQuantity(8), 8);
+  assert.equal(parseStockQuantity('Disponible'), null);
+});
+
+test('location, unit and promo date helpers', () => {
+  assert.deepEqual(parseAisleBay('Allée 12, Section 4'), {
+    aisle: '12',
+    bay: '4',
+  });
+  assert.deepEqual(parseAisleBay('Aisle B3 Bay 07'), { aisle: 'B3', bay: '07' });
+  assert.deepEqual(parseAisleBay(''), { aisle: null, bay: null });
+
+  assert.equal(parseUnitOfMeasure('2,49 $/ch.'), 'ch');
+  assert.equal(parseUnitOfMeasure('per sq. ft.'), 'sq. ft');
+  assert.equal(parseUnitOfMeasure('12,99 $'), null);
+
+  assert.equal(parsePromoEndDate('Se termine le 1er avril 2025'), '2025-04-01');
+  assert.equal(parsePromoEndDate('Ends March 15, 2025'), '2025-03-15');
+  assert.equal(parsePromoEndDate('2025-03-31T23:59:59Z'), '2025-03-31');
+  assert.equal(parsePromoEndDate('2025-02-30'), null);
+  assert.equal(parsePromoEndDate('bientôt'), null);
+});
+
+test('normalizeProductDetail merges JSON-LD with page fallbacks', async () => {
+  const raw = await readFixture('product_detail.json');
+  const detail = normalizeProductDetail(
+    raw,
+    'https://www.rona.ca/fr/produit/perceuse-sans-fil-20-v-12345'
+  );
+  assert.deepEqual(detail, {
+    sku: '12345',
+    modelNumber: 'DCD777C2',
+    description: 'Perceuse compacte sans balai avec 2 batteries.',
+    specs: {
+      Tension: '20 V',
+      'Vitesse maximale': '1750 tr/min',
+      Garantie: '3 ans',
+    },
+    images: [
+      'https://images.rona.ca/perceuse_1200.jpg',
+      'https://images.rona.ca/perceuse_side_1200.jpg',
+      'https://www.rona.ca/media/perceuse_zoom.jpg',
+    ],
+    brand: 'DeWalt',
+    availability: 'in-stock',
+    stockQuantity: 7,
+  });
+
+  const fallback = normalizeProductDetail(
+    {
+      jsonLd: [],
+      specs: [],
+      images: [],
+      skuText: 'Article # 98765',
+      modelText: 'Modèle : ABC-1',
+      stockText: '0 en stock',
+    },
+    'https://www.rona.ca/fr/produit/x'
+  );
+  assert.equal(fallback.sku, '98765');
+  assert.equal(fallback.modelNumber, 'ABC-1');
+  assert.equal(fallback.stockQuantity, 0);
+  assert.equal(fallback.availability, 'out-of-stock');
+});
+
+test('toCsv quotes text fields and keeps numeric columns bare', () => {
+  const header =
+    'name,name_fr,name_en,image,regularPrice,salePrice,discountPct,url,sku,modelNumber,brand,category,department,availability,stockQuantity,aisle,bay,unitOfMeasure,promoEndDate';
+  assert.equal(toCsv([]), `${header}\n`);
+  const csv = toCsv([
+    {
+      name: 'Scie "pro", 7 po',
+      name_fr: 'Scie "pro", 7 po',
+      name_en: '7 in. "pro" saw',
+      image: '',
+      regularPrice: 149.99,
+      salePrice: 59.99,
+      discountPct: 60,
+      url: 'https://www.rona.ca/x',
+      sku: '67890',
+      stockQuantity: 0,
+      availability: 'out-of-stock',
+    },
+    { name: 'Sans prix', url: 'https://www.rona.ca/y' },
+  ]);
+  assert.equal(
+    csv,
+    [
+      header,
+      '"Scie ""pro"", 7 po","Scie ""pro"", 7 po","7 in. ""pro"" saw","",149.99,59.99,60,"https://www.rona.ca/x","67890","","","","","out-of-stock",0,"","","",""',
+      '"Sans prix","","","",,,,"https://www.rona.ca/y","","","","","","",,"","","",""',
+      '',
+    ].join('\n')
+  );
+});
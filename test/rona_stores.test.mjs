@@ -0,0 +1,240 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  detectBanner,
+  diffStores,
+  extractStoreLocations,
+  geocodePostalCode,
+  haversineKm,
+  mergeStoreLocation,
+  normalizePostalCode,
+  parseRadius,
+  selectStores,
+  slugifyStore,
+  storeSelectionFromArgs,
+} from '../scripts/rona_stores.mjs';
+
+async function readFixture(name) {
+  const url = new URL(`./fixtures/${name}`, import.meta.url);
+  return JSON.parse(await fs.readFile(url, 'utf8'));
+}
+
+async function locatedStores() {
+  const locations = extractStoreLocations(
+    await readFixture('store_locator.json')
+  );
+  return locations.map((location) => ({
+    slug: `store-${location.id}`,
+    ...location,
+  }));
+}
+
+test('postal code, banner and radius helpers', () => {
+  assert.equal(normalizePostalCode('h2x1y4'), 'H2X 1Y4');
+  assert.equal(normalizePostalCode(' J7Y-3S7 '), 'J7Y 3S7');
+  assert.equal(normalizePostalCode('90210'), null);
+
+  assert.equal(detectBanner('RONA+ Blainville'), 'RONA+');
+  assert.equal(detectBanner('RONA Plus Laval'), 'RONA+');
+  assert.equal(detectBanner('Réno-Dépôt Montréal'), 'Réno-Dépôt');
+  assert.equal(detectBanner('RONA Ferronnerie St-Janvier Inc.'), 'RONA');
+
+  assert.equal(parseRadius('50km'), 50);
+  assert.equal(parseRadius('25'), 25);
+  assert.ok(Math.abs(parseRadius('10 mi') - 16.09344) < 1e-9);
+  assert.throws(() => parseRadius('far'), /--radius must look like/);
+
+  const km = haversineKm(
+    { lat: 45.5017, lng: -73.5673 },
+    { lat: 46.8139, lng: -71.208 }
+  );
+  assert.ok(km > 230 && km < 236, `Montréal-Québec was ${km}`);
+
+  assert.equal(storeSelectionFromArgs({}), null);
+  assert.throws(
+    () => storeSelectionFromArgs({ radius: '10km' }),
+    /--radius requires --near/
+  );
+});
+
+test('extractStoreLocations reads locator payloads', async () => {
+  const [first, second, third] = await locatedStores();
+  assert.deepEqual(first, {
+    slug: 'store-41320',
+    id: 41320,
+    name: 'RONA Saint-Jérôme',
+    address: '900, boulevard Grignon',
+    city: 'Saint-Jérôme',
+    province: 'QC',
+    postalCode: 'J7Y 3S7',
+    lat: 45.7894,
+    lng: -74.0052,
+    region: 'Laurentides',
+    banner: 'RONA',
+  });
+  assert.equal(second.banner, 'RONA+');
+  assert.equal(third.banner, 'Réno-Dépôt');
+  assert.equal(third.region, null);
+});
+
+test('mergeStoreLocation keeps locked fields', () => {
+  const merged = mergeStoreLocation(
+    {
+      id: 1877,
+      name: 'RONA Ferronnerie St-Janvier Inc. / Mirabel',
+      slug: 'rona-mirabel-1877',
+      region: 'Basses-Laurentides',
+      locked: ['region'],
+    },
+    {
+      id: 1877,
+      postalCode: 'J7J 1P3',
+      lat: 45.65,
+      lng: -73.99,
+      region: 'Laurentides',
+      banner: 'RONA',
+    }
+  );
+  assert.equal(merged.region, 'Basses-Laurentides');
+  assert.equal(merged.postalCode, 'J7J 1P3');
+  assert.equal(merged.lat, 45.65);
+  assert.equal(merged.banner, 'RONA');
+});
+
+test('selectStores filters by distance, region and banner', async () => {
+  const stores = await locatedStores();
+  stores.push({ slug: 'no-coords', name: 'RONA Gaspé', region: 'Gaspésie' });
+
+  const near = await selectStores(stores, {
+    near: 'J7Y3S7',
+    radiusKm: 30,
+  });
+  assert.deepEqual(
+    near.map((store) => [store.slug, store.distanceKm]),
+    [
+      ['store-41320', 0],
+      ['store-43390', 16.5],
+    ]
+  );
+
+  const fromPoint = await selectStores(stores, { near: '45.456,-73.63' });
+  assert.equal(fromPoint[0].slug, 'store-8100');
+
+  const region = await selectStores(stores, { region: 'laurentides' });
+  assert.equal(region.length, 2);
+  const city = await selectStores(stores, { region: 'Montreal' });
+  assert.deepEqual(
+    city.map((store) => store.slug),
+    ['store-8100']
+  );
+  const banner = await selectStores(stores, { banner: 'rona+' });
+  assert.deepEqual(
+    banner.map((store) => store.slug),
+    ['store-43390']
+  );
+});
+
+test('geocodePostalCode caches lookups for unknown postal codes', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-geo-'));
+  const cachePath = path.join(dir, 'geocode_cache.json');
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(String(url));
+    return {
+      ok: true,
+      json: async () => [{ lat: '45.5088', lon: '-73.5878' }],
+    };
+  };
+  try {
+    const stores = await locatedStores();
+    const selected = await selectStores(
+      stores,
+      { near: 'H2X 1Y4', radiusKm: 20 },
+      { cachePath, fetchImpl }
+    );
+    assert.deepEqual(
+      selected.map((store) => store.slug),
+      ['store-8100']
+    );
+    assert.equal(calls.length, 1);
+    assert.match(calls[0], /postalcode=H2X\+1Y4/);
+
+    const again = await geocodePostalCode('H2X 1Y4', { cachePath, fetchImpl });
+    assert.deepEqual(again, { lat: 45.5088, lng: -73.5878 });
+    assert.equal(calls.length, 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('diffStores reports added, removed and renamed stores', async () => {
+  const discovered = extractStoreLocations(
+    await readFixture('store_locator.json')
+  );
+  discovered[0] = { ...discovered[0], name: 'RONA+ Saint-Jérôme' };
+  const existing = [
+    {
+      id: 41320,
+      name: 'RONA Saint-Jérôme',
+      slug: 'rona-saint-jerome-41320',
+      locationQuery: 'Saint-Jérôme',
+      clearanceUrl: 'https://www.rona.ca/custom',
+    },
+    {
+      id: 43390,
+      name: 'RONA Blainville',
+      slug: 'rona-blainville-43390',
+      locationQuery: 'Blainville',
+      locked: ['name'],
+    },
+    {
+      id: 1877,
+      name: 'RONA Ferronnerie St-Janvier Inc. / Mirabel',
+      slug: 'rona-ferronnerie-st-janvier-inc-mirabel-1877',
+      locationQuery: 'Mirabel',
+    },
+  ];
+
+  const { diff, stores } = diffStores(existing, discovered);
+  assert.deepEqual(diff, {
+    added: [
+      {
+        id: 8100,
+        slug: 'reno-depot-montreal-8100',
+        name: 'Réno-Dépôt Montréal',
+      },
+    ],
+    removed: [
+      {
+        id: 1877,
+        slug: 'rona-ferronnerie-st-janvier-inc-mirabel-1877',
+        name: 'RONA Ferronnerie St-Janvier Inc. / Mirabel',
+      },
+    ],
+    renamed: [
+      {
+        id: 41320,
+        slug: 'rona-saint-jerome-41320',
+        from: 'RONA Saint-Jérôme',
+        to: 'RONA+ Saint-Jérôme',
+      },
+    ],
+    unchanged: 1,
+  });
+  assert.equal(stores.length, 4);
+  assert.equal(stores[0].slug, 'rona-saint-jerome-41320');
+  assert.equal(stores[0].clearanceUrl, 'https://www.rona.ca/custom');
+  assert.equal(stores[0].postalCode, 'J7Y 3S7');
+  assert.equal(stores[1].name, 'RONA Blainville');
+  assert.equal(stores[3].locationQuery, 'Montréal');
+
+  const pruned = diffStores(existing, discovered, { prune: true });
+  assert.equal(pruned.stores.length, 3);
+  assert.equal(
+    slugifyStore('RONA Ferronnerie St-Janvier Inc. / Mirabel', 1877),
+    'rona-ferronnerie-st-janvier-inc-mirabel-1877'
+  );
+});
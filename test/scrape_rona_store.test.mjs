@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { launchBrowser, scrapeStore } from '../scripts/scrape_rona_store.mjs';
+
+const browser = await launchBrowser().catch(() => null);
+const skip = browser ? false : 'Chromium is not installed for Playwright';
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  const clearanceHtml = await fs.readFile(
+    new URL('./fixtures/clearance.html', import.meta.url),
+    'utf8'
+  );
+  server = http.createServer((req, res) => {
+    if (req.url.startsWith('/clearance')) {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      res.end(clearanceHtml);
+      return;
+    }
+    res.writeHead(404, { 'content-type': 'text/plain' });
+    res.end('not found');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-scrape-'));
+});
+
+after(async () => {
+  await browser?.close();
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('scrapeStore scrapes a local clearance page end to end', { skip }, async () => {
+  const store = {
+    id: 4242,
+    name: 'RONA Testville',
+    slug: 'rona-testville-4242',
+    locationQuery: 'Testville',
+    clearanceUrl: `${baseUrl}/clearance?page=1`,
+  };
+
+  const result = await scrapeStore(store, { browser, dataDir });
+  assert.equal(result.status, 'scraped');
+  assert.equal(result.count, 2);
+
+  const data = JSON.parse(
+    await fs.readFile(path.join(dataDir, store.slug, 'data.json'), 'utf8')
+  );
+  assert.equal(data.selectedStore.confirmed, true);
+  assert.equal(data.selectedStore.headerStoreId, '4242');
+  assert.equal(data.stats.tiles, 3);
+  assert.deepEqual(
+    data.items.map((item) => [item.sku, item.salePrice, item.discountPct]),
+    [
+      ['12345', 499.99, 62],
+      ['67890', 59.99, 60],
+    ]
+  );
+
+  const csv = await fs.readFile(
+    path.join(dataDir, store.slug, 'data.csv'),
+    'utf8'
+  );
+  assert.equal(csv.trim().split('\n').length, 3);
+});
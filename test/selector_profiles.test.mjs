@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  createSelectorHealth,
+  formatSelectorHealth,
+  loadSelectorProfile,
+  normalizeSelectorProfile,
+  readTilesWithProfile,
+  selectorChain,
+} from '../scripts/selector_profiles.mjs';
+import { SELECTORS_PATH } from '../scripts/retailers/rona.mjs';
+
+function element({ text = '', attrs = {}, children = {}, props = {} } = {}) {
+  return {
+    textContent: text,
+    getAttribute: (name) => attrs[name] ?? null,
+    querySelector: (selector) => children[selector]?.[0] ?? null,
+    querySelectorAll: (selector) => children[selector] ?? [],
+    ...props,
+  };
+}
+
+function fakePage(tilesBySelector) {
+  return {
+    locator: (selector) => ({
+      count: async () => tilesBySelector[selector]?.length ?? 0,
+    }),
+    $$eval: async (selector, fn, arg) => fn(tilesBySelector[selector], arg),
+  };
+}
+
+const profile = normalizeSelectorProfile({
+  name: 'test',
+  version: 2,
+  tiles: ['.tile-new', '.tile'],
+  required: ['name', 'url'],
+  fields: {
+    name: ['.title', 'a'],
+    url: [{ selector: 'a', prop: 'href' }],
+    sku: [{ attr: 'data-sku' }],
+    price: ['.was', { selector: '.price', all: true }],
+  },
+  loadMore: { fr: ['button.plus'], en: ['button.more'] },
+  cookieBanner: { any: ['#consent'], fr: ['button.ok'] },
+});
+
+test('the RONA selector profile loads with language-ordered chains', async () => {
+  const rona = await loadSelectorProfile(SELECTORS_PATH);
+  assert.equal(rona.name, 'rona');
+  assert.ok(rona.tiles.includes('article.product-tile'));
+  assert.deepEqual(rona.required, ['name', 'url', 'price']);
+  assert.equal(
+    selectorChain(rona, 'loadMore', 'en')[0],
+    'button:has-text("Load more")'
+  );
+  assert.deepEqual(selectorChain(rona, 'cookieBanner', 'en').slice(0, 2), [
+    '#onetrust-accept-btn-handler',
+    'button:has-text("Accept All")',
+  ]);
+  assert.deepEqual(selectorChain(rona, 'missing'), []);
+});
+
+test('normalizeSelectorProfile rejects malformed profiles', async () => {
+  assert.throws(
+    () => normalizeSelectorProfile({ tiles: [] }),
+    /"tiles" must list at least one selector/
+  );
+  assert.throws(
+    () =>
+      normalizeSelectorProfile({ tiles: ['.t'], fields: { colour: ['.c'] } }),
+    /unknown field "colour"/
+  );
+  assert.throws(
+    () =>
+      normalizeSelectorProfile({
+        tiles: ['.t'],
+        fields: { url: [{ selector: 'a', attr: 'href', prop: 'href' }] },
+      }),
+    /fields\.url\[0\] can read an "attr" or a "prop"/
+  );
+  assert.throws(
+    () => normalizeSelectorProfile({ tiles: ['.t'], required: ['name'] }),
+    /"required" names fields without selectors: name/
+  );
+  assert.throws(
+    () => normalizeSelectorProfile({ tiles: ['.t'], loadMore: 'button' }),
+    /"loadMore" must be a list of selectors/
+  );
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-selectors-'));
+  try {
+    const broken = path.join(dir, 'broken.json');
+    await fs.writeFile(broken, '{ nope');
+    await assert.rejects(
+      loadSelectorProfile(broken),
+      /Could not read selector profile .*broken\.json/
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('readTilesWithProfile follows fallbacks and records selector health', async () => {
+  const anchor = (href, text) =>
+    element({ text, props: { href: `https://shop.example.test${href}` } });
+  const page = fakePage({
+    '.tile': [
+      element({
+        attrs: { 'data-sku': '111' },
+        children: {
+          '.title': [element({ text: ' Perceuse ' })],
+          a: [anchor('/p/111', 'Perceuse')],
+          '.was': [element({ text: '99,99 $' })],
+        },
+      }),
+      element({
+        children: {
+          a: [anchor('/p/222', 'Scie')],
+          '.price': [
+            element({ text: '49,99 $' }),
+            element({ text: '19,99 $' }),
+          ],
+        },
+      }),
+    ],
+  });
+  const health = createSelectorHealth(profile);
+  const tiles = await readTilesWithProfile(page, profile, health);
+
+  assert.deepEqual(
+    tiles.map((tile) => [tile.name, tile.url, tile.sku, tile.regularPriceText]),
+    [
+      ['Perceuse', 'https://shop.example.test/p/111', '111', '99,99 $'],
+      ['Scie', 'https://shop.example.test/p/222', '', '49,99 $ | 19,99 $'],
+    ]
+  );
+  assert.equal(tiles[0].salePriceText, '');
+
+  health.hit('loadMore', 'button.plus');
+  health.miss('loadMore');
+  const report = health.report();
+  assert.equal(report.profile, 'test');
+  assert.deepEqual(report.chains.tiles, {
+    kind: 'tiles',
+    attempts: 1,
+    missed: 0,
+    matched: { '.tile': 1 },
+    primary: '.tile-new',
+    fallbackHits: 1,
+    required: false,
+  });
+  assert.deepEqual(report.chains.name.matched, { '.title': 1, a: 1 });
+  assert.equal(report.chains.name.fallbackHits, 1);
+  assert.equal(report.chains.name.required, true);
+  assert.equal(report.chains.sku.missed, 1);
+  assert.deepEqual(report.chains.price.matched, {
+    '.was': 1,
+    '.price (all)': 1,
+  });
+  assert.equal(report.chains.loadMore.kind, 'element');
+  assert.equal(
+    formatSelectorHealth(report),
+    'tiles=".tile" empty=sku:1/2 fallbacks=tiles,name,price'
+  );
+
+  const empty = createSelectorHealth(profile);
+  assert.deepEqual(
+    await readTilesWithProfile(fakePage({}), profile, empty),
+    []
+  );
+  assert.equal(empty.report().chains.tiles.missed, 1);
+});
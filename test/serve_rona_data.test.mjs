@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  createDashboardServer,
+  loadDataset,
+} from '../scripts/serve_rona_data.mjs';
+
+import {
+  makeData,
+  makeItem as makeBaseItem,
+  writeStoreData,
+} from './helpers/store_data.mjs';
+
+function makeItem(sku, name, regularPrice, salePrice, discountPct) {
+  return makeBaseItem({
+    name,
+    url: `https://www.rona.ca/fr/produit/${sku}`,
+    sku,
+    regularPrice,
+    salePrice,
+    discountPct,
+  });
+}
+
+test('serve exposes stores, filtered items and the dashboard', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-serve-'));
+  const storesPath = path.join(dataDir, 'stores.json');
+  await fs.writeFile(
+    storesPath,
+    JSON.stringify([
+      { slug: 'rona-laval', name: 'RONA Laval', region: 'Laval' },
+      {
+        slug: 'rona-quebec',
+        name: 'RONA Québec',
+        region: 'Capitale-Nationale',
+      },
+    ])
+  );
+  await writeStoreData(
+    dataDir,
+    makeData(
+      [
+        makeItem('1', 'Perceuse', 200, 60, 70),
+        makeItem('2', 'Scie circulaire', 100, 45, 55),
+        makeItem('3', 'Vis à bois', 10, 4, 60),
+      ],
+      { store: { slug: 'rona-laval', name: 'RONA Laval', id: 1 } }
+    )
+  );
+  await writeStoreData(
+    dataDir,
+    makeData([], {
+      store: { slug: 'rona-quebec', name: 'RONA Québec', id: 2 },
+      scrapedAt: '2025-03-02T11:00:00.000Z',
+      status: 'blocked',
+      blocked: true,
+      blockedReason: 'cf-challenge',
+    })
+  );
+
+  const server = createDashboardServer({ dataDir, storesPath });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const getJson = async (url) => {
+    const response = await fetch(`${base}${url}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const stores = await getJson('/api/stores');
+    assert.deepEqual(
+      stores.body.stores.map((store) => [
+        store.slug,
+        store.status,
+        store.region,
+      ]),
+      [
+        ['rona-laval', 'scraped', 'Laval'],
+        ['rona-quebec', 'blocked', 'Capitale-Nationale'],
+      ]
+    );
+    const blocked = await getJson('/api/stores?status=blocked');
+    assert.equal(blocked.body.stores[0].blockedReason, 'cf-challenge');
+
+    const all = await getJson('/api/items');
+    assert.equal(all.body.total, 3);
+    assert.deepEqual(
+      all.body.items.map((item) => [item.sku, item.savings]),
+      [
+        ['1', 140],
+        ['2', 55],
+        ['3', 6],
+      ]
+    );
+
+    const filtered = await getJson(
+      '/api/items?region=laval&minDiscount=58&minPrice=5&q=perceuse'
+    );
+    assert.deepEqual(
+      filtered.body.items.map((item) => item.sku),
+      ['1']
+    );
+    const byPrice = await getJson('/api/items?maxPrice=50&sort=price');
+    assert.deepEqual(
+      byPrice.body.items.map((item) => item.sku),
+      ['3', '2']
+    );
+    const none = await getJson('/api/items?store=rona-quebec');
+    assert.equal(none.body.total, 0);
+
+    const bad = await getJson('/api/items?sort=random');
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, /sort must be one of/);
+    assert.equal((await getJson('/api/nope')).status, 404);
+
+    const page = await fetch(`${base}/`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /RONA clearance/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('loadDataset names stores without a name after their slug', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-serve-'));
+  try {
+    await writeStoreData(
+      dataDir,
+      makeData([], { store: { slug: 'rona-levis', id: 3 }, status: 'error' })
+    );
+    await writeStoreData(dataDir, makeData([makeItem('1', 'Vis', 10, 4, 60)]));
+    const dataset = await loadDataset(
+      dataDir,
+      path.join(dataDir, 'missing-stores.json')
+    );
+    assert.deepEqual(
+      dataset.stores.map((store) => [store.slug, store.name]),
+      [
+        ['rona-laval', 'RONA Laval'],
+        ['rona-levis', 'rona-levis'],
+      ]
+    );
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  createCheckpointWriter,
+  isFreshSuccess,
+  loadCheckpoint,
+} from '../scripts/shard_checkpoint.mjs';
+
+const SHARD = { shardIndex: 2, totalShards: 4 };
+
+test('a recorded checkpoint lets the next run skip fresh successes', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-checkpoint-'));
+  try {
+    const checkpointPath = path.join(dir, 'shard-2', 'checkpoint.json');
+    const first = await loadCheckpoint(checkpointPath, SHARD);
+    assert.deepEqual(first, { ...SHARD, stores: {} });
+
+    const writer = createCheckpointWriter(checkpointPath, first);
+    const finishedAt = new Date().toISOString();
+    writer.record('rona-laval', { status: 'scraped', finishedAt });
+    writer.record('rona-quebec', { status: 'blocked', finishedAt });
+    await writer.flush();
+
+    const resumed = await loadCheckpoint(checkpointPath, SHARD);
+    const maxAgeMs = 60 * 60 * 1000;
+    assert.deepEqual(
+      ['rona-laval', 'rona-quebec', 'rona-levis'].filter(
+        (slug) => !isFreshSuccess(resumed.stores[slug], maxAgeMs)
+      ),
+      ['rona-quebec', 'rona-levis']
+    );
+
+    const otherPlan = await loadCheckpoint(checkpointPath, {
+      shardIndex: 2,
+      totalShards: 3,
+    });
+    assert.deepEqual(otherPlan.stores, {});
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('isFreshSuccess ignores old or failed entries', () => {
+  const now = Date.parse('2025-03-02T12:00:00.000Z');
+  const hour = 60 * 60 * 1000;
+  const entry = (status, finishedAt) => ({ status, finishedAt });
+  assert.equal(
+    isFreshSuccess(entry('scraped', '2025-03-02T11:00:00.000Z'), hour, now),
+    true
+  );
+  assert.equal(
+    isFreshSuccess(entry('scraped', '2025-03-02T10:59:59.000Z'), hour, now),
+    false
+  );
+  assert.equal(
+    isFreshSuccess(entry('error', '2025-03-02T11:30:00.000Z'), hour, now),
+    false
+  );
+  assert.equal(isFreshSuccess(undefined, hour, now), false);
+});
+
+test('checkpoint writes that fail are logged without rejecting', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-checkpoint-'));
+  try {
+    const blocker = path.join(dir, 'not-a-dir');
+    await fs.writeFile(blocker, '');
+    const checkpoint = { ...SHARD, stores: {} };
+    const writer = createCheckpointWriter(
+      path.join(blocker, 'checkpoint.json'),
+      checkpoint
+    );
+    await writer.record('rona-laval', { status: 'scraped' });
+    await writer.flush();
+    assert.equal(checkpoint.stores['rona-laval'].status, 'scraped');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
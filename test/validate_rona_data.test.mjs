@@ -0,0 +1,210 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import {
+  validateDataDir,
+  validateStoreData,
+  validationFailure,
+} from '../scripts/validate_rona_data.mjs';
+import { makeData, makeItem, writeStoreData } from './helpers/store_data.mjs';
+
+function codes(result) {
+  return result.anomalies.map((entry) => `${entry.severity}:${entry.code}`);
+}
+
+test('validateStoreData accepts a plausible run', () => {
+  const result = validateStoreData(makeData([makeItem()]));
+  assert.deepEqual(result.anomalies, []);
+  assert.equal(result.errors, 0);
+});
+
+test('validateStoreData flags price, duplicate and schema problems', () => {
+  const data = makeData([
+    makeItem(),
+    makeItem(),
+    makeItem({ sku: '2', salePrice: 120, discountPct: null }),
+    makeItem({ sku: '3', salePrice: 0, discountPct: 100 }),
+    makeItem({ sku: '4', salePrice: 1, discountPct: 99 }),
+    makeItem({ sku: '5', discountPct: 20 }),
+  ]);
+  data.count = 99;
+  const result = validateStoreData(data);
+  assert.deepEqual(codes(result), [
+    'error:schema-count',
+    'error:duplicate-item',
+    'error:price-sale-not-below-regular',
+    'error:price-non-positive',
+    'warning:discount-suspicious',
+    'error:discount-mismatch',
+  ]);
+  const suspicious = result.anomalies.find(
+    (entry) => entry.code === 'discount-suspicious'
+  );
+  assert.equal(suspicious.count, 2);
+  assert.deepEqual(
+    suspicious.samples.map((sample) => sample.sku),
+    ['3', '4']
+  );
+
+  const broken = validateStoreData({ store: {}, status: 'done' });
+  assert.deepEqual(codes(broken), [
+    'error:schema-version',
+    'error:schema-store',
+    'error:schema-status',
+    'error:schema-scraped-at',
+    'error:schema-items',
+  ]);
+});
+
+test('validateStoreData compares the item count with the previous run', () => {
+  const items = [makeItem()];
+  const history = {
+    runs: [
+      { scrapedAt: '2025-03-01T10:00:00.000Z', count: 40 },
+      { scrapedAt: '2025-03-02T10:00:00.000Z', count: 1 },
+    ],
+  };
+  assert.deepEqual(codes(validateStoreData(makeData(items), { history })), [
+    'error:count-drop',
+  ]);
+  assert.deepEqual(
+    codes(
+      validateStoreData(makeData(items), {
+        history,
+        thresholds: { countDropRatio: 0.99 },
+      })
+    ),
+    []
+  );
+  assert.deepEqual(
+    codes(validateStoreData(makeData([], { status: 'blocked' }), { history })),
+    []
+  );
+  const refiltered = {
+    runs: [
+      { scrapedAt: '2025-03-01T10:00:00.000Z', count: 40, filter: null },
+    ],
+  };
+  assert.deepEqual(
+    codes(
+      validateStoreData(makeData(items, { filter: { minDiscountPct: 70 } }), {
+        history: refiltered,
+      })
+    ),
+    []
+  );
+});
+
+test('validateStoreData treats a scraped page with no tiles as an error', () => {
+  const empty = makeData([], { stats: { tiles: 0, parsedCount: 0 } });
+  assert.deepEqual(codes(validateStoreData(empty)), ['error:empty-page']);
+  const unparsed = makeData([], { stats: { tiles: 12, parsedCount: 0 } });
+  assert.deepEqual(codes(validateStoreData(unparsed)), [
+    'warning:no-products-parsed',
+  ]);
+  assert.deepEqual(
+    codes(validateStoreData(makeData([], { status: 'blocked' }))),
+    []
+  );
+});
+
+test('validationFailure fails shards with too many errors or no products', () => {
+  const report = {
+    storesChecked: 3,
+    storesWithErrors: 2,
+    storesWithProducts: 1,
+  };
+  assert.equal(validationFailure(report, 1), '2 stores with errors (max 1)');
+  assert.equal(validationFailure(report, 2), null);
+  const empty = { ...report, storesWithErrors: 0, storesWithProducts: 0 };
+  assert.equal(
+    validationFailure(empty, 5),
+    'none of the 3 stores produced products'
+  );
+  assert.equal(validationFailure(empty, null), null);
+});
+
+test('validateStoreData warns when pagination stopped early', () => {
+  const data = makeData([makeItem()]);
+  data.stats.pagination = {
+    strategy: 'button',
+    collected: 1,
+    advertised: 48,
+    truncated: true,
+    truncatedReason: 'below-advertised',
+  };
+  const result = validateStoreData(data);
+  assert.deepEqual(codes(result), ['warning:pagination-truncated']);
+  assert.match(result.anomalies[0].message, /collected 1 of 48 advertised/);
+});
+
+test('validateStoreData warns when required selectors stop matching', () => {
+  const data = makeData([makeItem()]);
+  data.stats.selectorHealth = {
+    profile: 'rona',
+    chains: {
+      name: {
+        kind: 'field',
+        attempts: 10,
+        missed: 8,
+        matched: { '.product-title': 2 },
+        primary: '.product-title',
+        fallbackHits: 0,
+        required: true,
+      },
+      price: {
+        kind: 'field',
+        attempts: 10,
+        missed: 0,
+        matched: { '.price (all)': 10 },
+        primary: '.price--regular',
+        fallbackHits: 10,
+        required: true,
+      },
+      sku: {
+        kind: 'field',
+        attempts: 10,
+        missed: 10,
+        matched: {},
+        primary: ':scope @data-sku',
+        fallbackHits: 0,
+        required: false,
+      },
+    },
+  };
+  const result = validateStoreData(data);
+  assert.deepEqual(codes(result), [
+    'warning:selector-field-empty',
+    'warning:selector-fallback',
+  ]);
+  assert.deepEqual(result.anomalies[0].samples, [
+    { field: 'name', missed: 8, attempts: 10 },
+  ]);
+});
+
+test('validateDataDir reads store folders and reports per store', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rona-validate-'));
+  try {
+    await writeStoreData(dataDir, makeData([makeItem({ salePrice: -1 })]));
+    await fs.mkdir(path.join(dataDir, 'rona-quebec'));
+    await fs.writeFile(path.join(dataDir, 'rona-quebec', 'data.json'), '{');
+    await fs.mkdir(path.join(dataDir, 'shard-1'));
+
+    const report = await validateDataDir(dataDir);
+    assert.equal(report.storesChecked, 2);
+    assert.equal(report.storesWithErrors, 2);
+    assert.equal(report.storesWithProducts, 1);
+    const bySlug = Object.fromEntries(
+      report.stores.map((store) => [store.slug, codes(store)])
+    );
+    assert.deepEqual(bySlug['rona-laval'], ['error:price-non-positive']);
+    assert.deepEqual(bySlug['rona-quebec'], ['error:schema-json']);
+
+    const filtered = await validateDataDir(dataDir, { slugs: ['rona-laval'] });
+    assert.equal(filtered.storesChecked, 1);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});